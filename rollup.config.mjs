@@ -137,4 +137,88 @@ export default [
       }),
     ],
   },
+  {
+    input: './src/Scripts/prettier-service/worker-pool.js',
+    output: {
+      file: './prettier.novaextension/Scripts/prettier-service/worker-pool.js',
+      format: 'cjs',
+    },
+    plugins: [
+      terser({
+        format: {
+          comments: false,
+        },
+      }),
+    ],
+  },
+  {
+    input: './src/Scripts/prettier-service/console-redirect.js',
+    output: {
+      file: './prettier.novaextension/Scripts/prettier-service/console-redirect.js',
+      format: 'cjs',
+    },
+    plugins: [
+      terser({
+        format: {
+          comments: false,
+        },
+      }),
+    ],
+  },
+  {
+    input: './src/Scripts/prettier-service/serialize-error.js',
+    output: {
+      file: './prettier.novaextension/Scripts/prettier-service/serialize-error.js',
+      format: 'cjs',
+    },
+    plugins: [
+      terser({
+        format: {
+          comments: false,
+        },
+      }),
+    ],
+  },
+  {
+    input: './src/Scripts/prettier-service/text-edits.js',
+    output: {
+      file: './prettier.novaextension/Scripts/prettier-service/text-edits.js',
+      format: 'cjs',
+    },
+    plugins: [
+      terser({
+        format: {
+          comments: false,
+        },
+      }),
+    ],
+  },
+  {
+    input: './src/Scripts/prettier-service/embedded-sql.js',
+    output: {
+      file: './prettier.novaextension/Scripts/prettier-service/embedded-sql.js',
+      format: 'cjs',
+    },
+    plugins: [
+      terser({
+        format: {
+          comments: false,
+        },
+      }),
+    ],
+  },
+  {
+    input: './src/Scripts/prettier-service/format-worker.js',
+    output: {
+      file: './prettier.novaextension/Scripts/prettier-service/format-worker.js',
+      format: 'cjs',
+    },
+    plugins: [
+      terser({
+        format: {
+          comments: false,
+        },
+      }),
+    ],
+  },
 ]
@@ -9,98 +9,156 @@
  * with the background Prettier service via JSON-RPC.
  */
 
-const { getConfigWithWorkspaceOverride, log } = require('./helpers.js')
+const {
+  getConfigScope,
+  getConfigWithWorkspaceOverride,
+  log,
+} = require('./helpers.js')
 
 const { showNotification, cancelNotification } = require('./notifications.js')
 
-const pluginPaths = require('./prettier-plugins.js')
-
 const {
-  getDefaultConfig,
-  getAstroConfig,
-  getBladeConfig,
-  getLiquidConfig,
-  getNginxConfig,
-  getNodeSqlParserConfig,
-  getPhpConfig,
-  getPropertiesConfig,
-  getSqlFormatterConfig,
-  getTailwindConfig,
-  getTomlConfig,
-  getTwigConfig,
-  getXmlConfig,
-} = require('./prettier-config.js')
-
-const { detectSyntax } = require('./syntax.js')
+  getBundledPlugin,
+  getPluginsForSyntax,
+  getSqlPluginConfig,
+} = require('./prettier-plugins.js')
 
-const {
-  getSqlDialectFromUriOrSyntax,
-  getSqlParserDialect,
-} = require('./sql.js')
+const { findModuleWithFileSystem } = require('./module-resolver.js')
 
-class Formatter {
-  constructor() {
-    this.prettierServiceDidExit = this.prettierServiceDidExit.bind(this)
-    this.prettierServiceStartDidFail =
-      this.prettierServiceStartDidFail.bind(this)
+const { ServiceProcess } = require('./service-process.js')
 
-    this.emitter = new Emitter()
-    /** @type {Map<string,number>} latest in-flight request IDs per file URI */
-    this._latestRequestIds = new Map()
+const { getDefaultConfig } = require('./prettier-config.js')
 
-    this.setupIsReadyPromise()
-  }
-
-  get defaultConfig() {
-    return getDefaultConfig()
-  }
-
-  get astroConfig() {
-    return getAstroConfig()
-  }
-
-  get bladeConfig() {
-    return getBladeConfig()
-  }
-
-  get liquidConfig() {
-    return getLiquidConfig()
-  }
-
-  get nginxConfig() {
-    return getNginxConfig()
-  }
+const {
+  detectSyntax,
+  getParserFromSupportInfo,
+  setSupportInfo,
+} = require('./syntax.js')
 
-  get nodeSqlParserConfig() {
-    return getNodeSqlParserConfig()
-  }
+const { recordFormat } = require('./statistics.js')
+const { createTransfer } = require('./transfer.js')
+const {
+  createFragment,
+  supportsFragments,
+  supportsRangeFormatting,
+} = require('./fragment.js')
+const { getModifiedLines } = require('./git.js')
+const { getParserOverride } = require('./parser-override.js')
+
+// Services for package-specific Prettier modules are stopped after 5 minutes
+// without requests.
+const SERVICE_IDLE_TIMEOUT = 5 * 60 * 1000
+
+// A service that doesn’t answer a ping within 2 seconds after a format timed
+// out is considered stuck and restarted.
+const PING_TIMEOUT = 2000
+
+// Running services are pinged every 30 seconds and restarted once they miss
+// two pings in a row.
+const HEARTBEAT_INTERVAL = 30 * 1000
+const HEARTBEAT_MAX_MISSED = 2
+
+const TIMED_OUT = Symbol('timed out')
+
+// Syntaxes whose embedded SQL can be formatted, by kind of embedding
+const EMBEDDED_SQL_HOSTS = {
+  flow: 'js',
+  javascript: 'js',
+  jsx: 'js',
+  php: 'php',
+  tsx: 'js',
+  typescript: 'js',
+}
 
-  get phpConfig() {
-    return getPhpConfig()
-  }
+/**
+ * Race against this to give up waiting after `ms` milliseconds.
+ *
+ * @param {number} ms
+ * @returns {{ promise: Promise<typeof TIMED_OUT>, clear: () => void }}
+ */
+function createDeadline(ms) {
+  let timer
+  const promise = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), ms)
+  })
+  return { promise, clear: () => clearTimeout(timer) }
+}
 
-  get propertiesConfig() {
-    return getPropertiesConfig()
+/**
+ * The single edit turning `before` into `after`: what lies between their
+ * common start and end.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ start: number, end: number, text: string }|null}
+ *   null if the texts are equal
+ */
+function trimEdit(before, after) {
+  if (before === after) return null
+  let prefix = 0
+  const max = Math.min(before.length, after.length)
+  while (prefix < max && before[prefix] === after[prefix]) prefix++
+  let suffix = 0
+  while (
+    suffix < max - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++
   }
-
-  get sqlFormatterConfig() {
-    return getSqlFormatterConfig()
+  // Never split a surrogate pair
+  if (/[\uD800-\uDBFF]/.test(after[prefix - 1] ?? '')) prefix--
+  if (suffix > 0 && /[\uDC00-\uDFFF]/.test(after[after.length - suffix])) {
+    suffix--
   }
-
-  get tailwindConfig() {
-    return getTailwindConfig()
+  return {
+    start: prefix,
+    end: before.length - suffix,
+    text: after.slice(prefix, after.length - suffix),
   }
+}
 
-  get tomlConfig() {
-    return getTomlConfig()
-  }
+/**
+ * Describe an option taken from the extension’s settings.
+ *
+ * @param {string} source  Kind of setting, e.g. 'Plugin settings'
+ * @param {string} name    Config key the value was read from
+ * @returns {{ source: string, scope: 'workspace'|'extension', setting: string }}
+ */
+function describeSetting(source, name) {
+  return { source, scope: getConfigScope(name), setting: name }
+}
 
-  get twigConfig() {
-    return getTwigConfig()
+class Formatter {
+  constructor() {
+    this.emitter = new Emitter()
+    /** @type {Map<string,number>} latest in-flight request IDs per file URI */
+    this._latestRequestIds = new Map()
+    /**
+     * @type {Map<string,{ service: ServiceProcess, cancellationId: string }>}
+     * in-flight format requests per file URI, cancelled when superseded
+     */
+    this._pendingFormats = new Map()
+    /** @type {Map<string,number>} latest in-flight check IDs per file URI */
+    this._latestCheckIds = new Map()
+
+    /** Service for the workspace’s Prettier, started by `start` */
+    this.defaultService = new ServiceProcess(undefined, {
+      onDidStart: ({ supportInfo }) => {
+        const languages = supportInfo?.languages
+        if (Array.isArray(languages)) {
+          setSupportInfo(languages)
+          log.debug(`Prettier reported ${languages.length} supported languages`)
+        }
+      },
+    })
+    /** @type {Map<string,ServiceProcess>} services for other modules, by path */
+    this.services = new Map()
+    /** @type {Map<string,string|null>} resolved module path per directory */
+    this._modulePathCache = new Map()
   }
 
-  get xmlConfig() {
-    return getXmlConfig()
+  get defaultConfig() {
+    return getDefaultConfig()
   }
 
   /**
@@ -115,197 +173,298 @@ class Formatter {
   }
 
   get isReady() {
-    if (!this._isReadyPromise) {
-      this.showServiceNotRunningError()
+    if (!this.defaultService.isReady) {
+      this.defaultService.showNotRunningError()
       return false
     }
 
-    return this._isReadyPromise
+    return this.defaultService.isReady
   }
 
-  async start(modulePath) {
-    if (modulePath) this.modulePath = modulePath
+  /** Milliseconds to wait for a format before saving unformatted. */
+  get formatTimeout() {
+    return (
+      (getConfigWithWorkspaceOverride('prettier.format.timeout') ?? 10) * 1000
+    )
+  }
 
-    if (!this._isReadyPromise) this.setupIsReadyPromise()
-    // If we're currently stopping we'll wait for that to complete before starting
-    if (this._isStoppedPromise) {
-      await this._isStoppedPromise
-    }
+  /** Documents larger than this many bytes aren’t formatted or checked. */
+  get maxFileSize() {
+    return (
+      (getConfigWithWorkspaceOverride('prettier.format.max-file-size') ?? 128) *
+      2 ** 20
+    )
+  }
 
-    if (this.prettierService) return
-    log.info('Starting Prettier service…')
+  /** Prettier module used for files without a package-specific one. */
+  get modulePath() {
+    return this.defaultService.modulePath
+  }
 
-    this.prettierService = new Process('/usr/bin/env', {
-      args: [
-        'node',
-        nova.path.join(
-          nova.extension.path,
-          'Scripts',
-          'prettier-service',
-          'prettier-service.js',
-        ),
-        this.modulePath,
-      ],
-      stdio: 'jsonrpc',
-      cwd: nova.workspace.path,
-    })
-    this.prettierService.onDidExit(this.prettierServiceDidExit)
-    this.prettierService.onNotify('didStart', () => {
-      log.info('Prettier service started successfully')
-      this._resolveIsReadyPromise(true)
-    })
-    this.prettierService.onNotify(
-      'startDidFail',
-      this.prettierServiceStartDidFail,
-    )
-    this.prettierService.start()
+  async start(modulePath) {
+    if (!this._heartbeatTimer) {
+      this._heartbeatTimer = setInterval(
+        () => this._heartbeat().catch((err) => log.error(err, err.stack)),
+        HEARTBEAT_INTERVAL,
+      )
+    }
+    await this.defaultService.start(modulePath)
   }
 
   stop() {
-    cancelNotification('prettier-not-running')
-    if (!this._isReadyPromise || !this.prettierService) return
-    if (this._isStoppedPromise) return
-
-    const startTs = Date.now()
-    const proc = this.prettierService
-
-    log.info('Stopping Prettier service…')
-
-    // Create a promise that we’ll resolve either on exit or on timeout
-    this._isStoppedPromise = new Promise((resolve) => {
-      // wrap the original resolve so we can log duration
-      this._resolveIsStoppedPromise = () => {
-        const delta = Date.now() - startTs
-        log.debug(`Prettier exited in ${delta}ms`)
-        resolve()
-      }
-    })
+    clearInterval(this._heartbeatTimer)
+    this._heartbeatTimer = null
 
-    // Signal “not ready” immediately
-    if (this._resolveIsReadyPromise) this._resolveIsReadyPromise(false)
-    this._isReadyPromise = null
+    for (const service of this.services.values()) {
+      clearTimeout(service.idleTimer)
+      service.stop()
+    }
+    this.services.clear()
+    this._modulePathCache.clear()
 
-    // Politely ask for termination
-    proc.terminate()
+    return this.defaultService.stop()
+  }
 
-    // If it hasn’t exited in 5s, force it
-    setTimeout(() => {
-      // still pending?
-      if (this._isStoppedPromise) {
-        log.error('Prettier did NOT exit in 5000ms, forcing stop.')
-        this._resolveIsStoppedPromise()
-      }
-    }, 5000)
+  /**
+   * Find the Prettier module for a file: the one installed for the nearest
+   * package.json that depends on Prettier, so every package of a monorepo is
+   * formatted with its own version. Falls back to the default module when
+   * none is found, or when a module is set or the bundled one is preferred.
+   *
+   * @param {string|null} filePath – local path of the file
+   * @returns {string}
+   */
+  resolveModulePath(filePath) {
+    if (
+      !filePath ||
+      getConfigWithWorkspaceOverride('prettier.module.preferBundled') ||
+      getConfigWithWorkspaceOverride('prettier.module.path')
+    ) {
+      return this.modulePath
+    }
 
-    // Don’t clear `this.prettierService` here—wait for onDidExit to do it
-    return this._isStoppedPromise
-  }
+    const directory = nova.path.dirname(filePath)
+    if (!this._modulePathCache.has(directory)) {
+      let modulePath = null
+      try {
+        modulePath = findModuleWithFileSystem(directory, 'prettier')
+      } catch (err) {
+        log.warn(`Error trying to find Prettier for ${filePath}`, err)
+      }
+      this._modulePathCache.set(directory, modulePath)
+    }
 
-  setupIsReadyPromise() {
-    this._isReadyPromise = new Promise((resolve) => {
-      this._resolveIsReadyPromise = resolve
-    })
+    return this._modulePathCache.get(directory) ?? this.modulePath
   }
 
-  prettierServiceDidExit(exitCode) {
-    // 1) Wake up anyone awaiting stop()
-    if (this._resolveIsStoppedPromise) {
-      this._resolveIsStoppedPromise()
-      this._isStoppedPromise = null
+  /**
+   * Get the ready service for a Prettier module. Services for modules other
+   * than the default one are started on first use and stopped once idle. If
+   * one fails to start, the default service is used instead and the next
+   * request tries again.
+   *
+   * @param {string} [modulePath]
+   * @returns {Promise<ServiceProcess|null>} – null if the service isn’t running
+   */
+  async getService(modulePath = this.modulePath) {
+    if (!modulePath || modulePath === this.modulePath) {
+      return (await this.isReady) ? this.defaultService : null
     }
 
-    // 2) If the service object is already gone, bail out
-    if (!this.prettierService) return
-
-    log.debug('Prettier service exited with code:', exitCode)
+    let service = this.services.get(modulePath)
+    if (!service) {
+      service = new ServiceProcess(modulePath)
+      this.services.set(modulePath, service)
+      service.start()
+    }
 
-    // 3) Mark “not ready” so calls to isReady will error
-    if (this._resolveIsReadyPromise) this._resolveIsReadyPromise(false)
-    this._isReadyPromise = null
+    // Stop services nobody used for a while; the next request restarts them
+    clearTimeout(service.idleTimer)
+    service.idleTimer = setTimeout(() => {
+      log.debug(`Prettier service for ${modulePath} is idle`)
+      this.services.delete(modulePath)
+      service.stop()
+    }, SERVICE_IDLE_TIMEOUT)
 
-    // 4) Clear out the old service handle
-    this.prettierService = null
+    if (await service.isReady) return service
 
-    // 5) If exitCode is 0 → clean stop → do nothing further
-    if (exitCode === 0) {
-      return
+    log.warn(
+      `Prettier service for ${modulePath} didn’t start, using ${this.modulePath} instead`,
+    )
+    clearTimeout(service.idleTimer)
+    if (this.services.get(modulePath) === service) {
+      this.services.delete(modulePath)
     }
+    service.stop()
+    return this.getService()
+  }
 
-    // 6) Non-zero exit → unexpected crash.
-    //    If we’ve already crashed recently, show an error instead of restarting forever.
-    if (this.prettierServiceCrashedRecently) {
-      return this.showServiceNotRunningError()
+  /**
+   * Ask the services to drop cached config and ignore-file results for a
+   * directory tree. Cheaper than restarting the services on every config change.
+   *
+   * @param {string|null} [directory] – omit to invalidate everything
+   */
+  async invalidateCache(directory = null) {
+    // A package.json may have gained or lost its Prettier dependency
+    for (const key of this._modulePathCache.keys()) {
+      if (!directory || key === directory || key.startsWith(directory + '/')) {
+        this._modulePathCache.delete(key)
+      }
     }
 
-    // 7) First crash in a short window → mark it and schedule a reset
-    this.prettierServiceCrashedRecently = true
-    setTimeout(() => (this.prettierServiceCrashedRecently = false), 5000)
+    await Promise.all(
+      [this.defaultService, ...this.services.values()].map(async (service) => {
+        // Nothing is cached while a service isn’t running
+        if (!service.process || !(await service.isReady)) return
 
-    // 8) Now restart the service
-    log.debug('Restarting Prettier…')
-    this.start()
+        try {
+          const dropped = await service.request('invalidate', { directory })
+          log.debug(
+            `Invalidated ${dropped} cache entries for ${directory || 'all directories'} in ${service.modulePath}`,
+          )
+        } catch (err) {
+          log.error(
+            `Prettier IPC error in invalidate: ${err.name}: ${err.message}\n${err.stack}`,
+          )
+        }
+      }),
+    )
   }
 
-  prettierServiceStartDidFail({ parameters: error }) {
-    this._resolveIsReadyPromise(false)
+  /**
+   * A format took longer than `prettier.format.timeout`: drop the request,
+   * tell the user, and restart the service if it has stopped responding.
+   *
+   * @private
+   * @param {Object} params
+   * @param {string} params.modulePath
+   * @param {string|null} params.cancellationId – the request to cancel, if sent
+   * @param {string} params.syntaxKey
+   * @param {number} params.elapsed             – milliseconds waited
+   * @param {boolean} params.saving
+   */
+  async _formatDidTimeOut({
+    modulePath,
+    cancellationId,
+    syntaxKey,
+    elapsed,
+    saving,
+  }) {
+    const seconds = (elapsed / 1000).toFixed(1)
+    log.warn(`Formatting ${syntaxKey} timed out after ${seconds}s`)
+
+    const service =
+      modulePath === this.modulePath
+        ? this.defaultService
+        : this.services.get(modulePath)
+    if (cancellationId) {
+      service?.notify('$/cancelRequest', { id: cancellationId })
+    }
 
     showNotification({
-      id: 'prettier-not-running',
+      id: 'prettier-format-timeout',
       title: nova.localize(
-        'prettier.notification.could-not-load-prettier.title',
-        'Can’t Load Prettier',
+        'prettier.notification.format-timeout.title',
+        'Formatting Timed Out',
         'notification',
       ),
-      body: nova.localize(
-        'prettier.notification.could-not-load-prettier.body',
-        "Please ensure your Node.js installation is up to date. Additionally, check if the 'Prettier module' path is correctly set in your extension or project settings. For more details, refer to the error log in the Extension Console.",
-        'notification',
-      ),
-      actions: [
+      body: [
         nova.localize(
-          'prettier.notification.could-not-load-prettier.action.project',
-          'Project Settings',
+          'prettier.notification.format-timeout.body.prefix',
+          'Prettier didn’t finish formatting this document',
           'notification',
         ),
-        nova.localize(
-          'prettier.notification.could-not-load-prettier.action.extension',
-          'Extension Settings',
-          'notification',
-        ),
-      ],
-      callback: (r) => {
-        if (r === 0) nova.workspace.openConfig()
-        else nova.openConfig()
-      },
+        ` (${syntaxKey}, ${seconds}s). `,
+        saving
+          ? nova.localize(
+              'prettier.notification.format-timeout.body.saved',
+              'It was saved without formatting.',
+              'notification',
+            )
+          : nova.localize(
+              'prettier.notification.format-timeout.body.unchanged',
+              'It was left unchanged.',
+              'notification',
+            ),
+      ].join(''),
     })
 
-    log.error(`${error.name}: ${error.message}\n${error.stack}`)
+    // A service that can’t even answer a ping is stuck; start a fresh one
+    if (!service?.process) return
+    if (await this.isResponsive(service)) return
+
+    log.warn(`Prettier service for ${modulePath} is unresponsive, restarting`)
+    await this.recycleService(service)
   }
 
-  showServiceNotRunningError() {
-    showNotification({
-      id: 'prettier-not-running',
-      title: nova.localize(
-        'prettier.notification.stopped-running.title',
-        'Prettier Stopped Running',
-        'notification',
-      ),
-      body: nova.localize(
-        'prettier.notification.stopped-running.body',
-        'If this problem persists, please report the issue through the Extension Library.',
-        'notification',
+  /**
+   * Whether a running service answers a ping in time. Any reply counts,
+   * even an error, since it shows the service still reads its input.
+   *
+   * @param {ServiceProcess} service
+   * @returns {Promise<boolean>}
+   */
+  async isResponsive(service) {
+    const deadline = createDeadline(PING_TIMEOUT)
+    const pong = await Promise.race([
+      service.request('ping').then(
+        () => true,
+        () => true,
       ),
-      actions: [
-        nova.localize(
-          'prettier.notification.stopped-running.action.restart',
-          'Restart Prettier',
-          'notification',
-        ),
-      ],
-      callback: (r) => {
-        if (r === 0) this.start()
-      },
-    })
+      deadline.promise,
+    ])
+    deadline.clear()
+    return pong !== TIMED_OUT
+  }
+
+  /**
+   * Replace a stuck service. The default one is restarted right away,
+   * others when they’re used next.
+   *
+   * @param {ServiceProcess} service
+   */
+  async recycleService(service) {
+    if (service === this.defaultService) {
+      await service.stop()
+      await service.start()
+    } else {
+      clearTimeout(service.idleTimer)
+      this.services.delete(service.modulePath)
+      await service.stop()
+    }
+  }
+
+  /**
+   * Ping every running service; restart the ones that missed too many pings
+   * in a row. Exits are noticed by the services themselves.
+   *
+   * @private
+   */
+  async _heartbeat() {
+    const services = [this.defaultService, ...this.services.values()]
+    await Promise.all(
+      services.map(async (service) => {
+        if (!service.process) return
+
+        if (await this.isResponsive(service)) {
+          service.missedPings = 0
+          return
+        }
+
+        service.missedPings = (service.missedPings || 0) + 1
+        log.warn(
+          `Prettier service for ${service.modulePath} missed ${service.missedPings} ping(s)`,
+        )
+        if (service.missedPings < HEARTBEAT_MAX_MISSED) return
+
+        service.missedPings = 0
+        log.warn(
+          `Prettier service for ${service.modulePath} is unresponsive, restarting`,
+        )
+        await this.recycleService(service)
+      }),
+    )
   }
 
   async formatEditorForced(editor) {
@@ -321,49 +480,746 @@ class Formatter {
    * @returns {Promise<Array<Issue>>} – list of formatting issues or []
    * @throws {never} All errors are caught and returned as [] or via showNotification
    */
-  async formatEditor(editor, saving, selectionOnly, flags = {}) {
-    const { document } = editor
+  async formatEditor(editor, saving, selectionOnly, flags = {}) {
+    const { document } = editor
+
+    if (document.length > this.maxFileSize) {
+      showNotification({
+        id: 'prettier-file-too-large',
+        title: nova.localize(
+          'prettier.notification.fileTooLarge.title',
+          'Document Too Large',
+          'notification',
+        ),
+        body: [
+          nova.localize(
+            'prettier.notification.fileTooLarge.body.prefix',
+            'Cannot format this document:',
+            'notification',
+          ),
+          ` ${(document.length / 2 ** 20).toFixed(1)} MiB `,
+          nova.localize(
+            'prettier.notification.fileTooLarge.body.limit',
+            'exceeds the limit of',
+            'notification',
+          ),
+          ` ${this.maxFileSize / 2 ** 20} MiB.`,
+        ].join(''),
+      })
+      return []
+    }
+
+    const syntaxKey = this.getSyntaxKey(editor)
+    log.debug(`Resolved Syntax Key: ${syntaxKey}`)
+
+    // If we couldn’t detect a syntax, don’t even try to format
+    if (!syntaxKey) {
+      log.info(`No syntax detected for ${document.path}; skipping formatting.`)
+      return []
+    }
+
+    cancelNotification('prettier-unsupported-syntax')
+
+    // Neither saving nor formatting may hang on a stuck plugin or service
+    const startedAt = Date.now()
+    const deadline = createDeadline(this.formatTimeout)
+    const didTimeOut = (cancellationId) => {
+      recordFormat({ syntaxKey, path: document.path, errored: true })
+      this._formatDidTimeOut({
+        modulePath: this.resolveModulePath(
+          document.isRemote ? null : document.path,
+        ),
+        cancellationId,
+        syntaxKey,
+        elapsed: Date.now() - startedAt,
+        saving,
+      }).catch((err) => log.error(err, err.stack))
+      return []
+    }
+
+    const resolved = await Promise.race([
+      this.resolveFormatOptions(document, syntaxKey, {
+        saving,
+        force: flags.force,
+      }),
+      deadline.promise,
+    ])
+    const optionsTime = Date.now() - startedAt
+    if (resolved === TIMED_OUT) return didTimeOut(null)
+    if (!resolved) {
+      deadline.clear()
+      return []
+    }
+
+    const { options, pathForConfig, modulePath, embeddedSql } = resolved
+
+    log.debug(`[Forced=${flags.force}] Formatting ${document.path}`)
+
+    const documentRange = new Range(0, document.length)
+    const original = editor.getTextInRange(documentRange)
+
+    // Syntaxes without range formatting format the selection on its own
+    const fragment =
+      selectionOnly && supportsFragments(syntaxKey)
+        ? createFragment(syntaxKey, original, editor.selectedRange)
+        : null
+    if (selectionOnly && !fragment) {
+      options.rangeStart = editor.selectedRange.start
+      options.rangeEnd = editor.selectedRange.end
+    }
+
+    // Log the options being used
+    log.debug('Prettier options:', JSON.stringify(options, null, 2))
+
+    // 1) Ensure the JSON-RPC service is ready
+    const service = await Promise.race([
+      this.getService(modulePath),
+      deadline.promise,
+    ])
+    if (service === TIMED_OUT) return didTimeOut(null)
+    if (!service) {
+      deadline.clear()
+      log.error(
+        'Prettier service never started or is not running, skipping format',
+      )
+      return []
+    }
+
+    // Identify this file
+    const uri = editor.document.uri.toString()
+
+    // bump and capture this file’s request ID
+    const last = this._latestRequestIds.get(uri) || 0
+    const requestId = last + 1
+    this._latestRequestIds.set(uri, requestId)
+
+    // The older request for this file is superseded, let the service drop it
+    const superseded = this._pendingFormats.get(uri)
+    if (superseded) {
+      superseded.service.notify('$/cancelRequest', {
+        id: superseded.cancellationId,
+      })
+    }
+    const cancellationId = `${uri}#${requestId}`
+    this._pendingFormats.set(uri, { service, cancellationId })
+
+    // 2) Fire the format request, catching any IPC failure; large documents
+    //    travel through temporary files
+    const transfer = createTransfer(fragment ? fragment.source : original)
+    const requestedAt = Date.now()
+    let result
+    try {
+      result = await Promise.race([
+        service.request('format', {
+          cancellationId,
+          ...transfer.params,
+          pathForConfig,
+          ignorePath: flags.force ? null : this.getIgnorePath(pathForConfig),
+          ...(fragment
+            ? { options }
+            : {
+                options: {
+                  ...options,
+                  cursorOffset: editor.selectedRange.start, // send cursor position
+                },
+                withCursor: true, // signal that we want formatWithCursor
+                embeddedSql,
+                withEdits: true, // only the changed parts, not the whole text
+              }),
+        }),
+        deadline.promise,
+      ])
+      if (result !== TIMED_OUT) result = transfer.receive(result)
+    } catch (err) {
+      // Cancelled because a newer request superseded it
+      if (requestId !== this._latestRequestIds.get(uri)) {
+        log.debug('Superseded Prettier request was cancelled')
+        return []
+      }
+      log.error(
+        `Prettier IPC error in format: ${err.name}: ${err.message}\n${err.stack}`,
+      )
+      recordFormat({
+        syntaxKey,
+        plugins: options.plugins,
+        path: document.path,
+        errored: true,
+      })
+      return []
+    } finally {
+      deadline.clear()
+      transfer.dispose()
+      if (this._pendingFormats.get(uri)?.cancellationId === cancellationId) {
+        this._pendingFormats.delete(uri)
+      }
+    }
+
+    if (result === TIMED_OUT) return didTimeOut(cancellationId)
+
+    // 3) If a newer call for **this same file** started in the meantime, drop
+    // This check ensures that stale responses are ignored when multiple format
+    // requests are fired concurrently for the same file. It compares the current
+    // request ID with the latest request ID stored for the file.
+    if (requestId !== this._latestRequestIds.get(uri)) {
+      log.debug('Stale Prettier response, ignoring')
+      return []
+    }
+
+    // 3.1) remove the entry so we don’t leak
+    this._latestRequestIds.delete(uri)
+
+    // 3.2) for the performance report
+    if (!result.ignored) {
+      recordFormat({
+        syntaxKey,
+        plugins: options.plugins,
+        path: document.path,
+        timings: {
+          ...result.timings,
+          options: optionsTime,
+          request: Date.now() - requestedAt,
+        },
+        size: original.length,
+        resultSize: fragment
+          ? (result.formatted?.length ?? 0)
+          : (result.edits ?? []).reduce(
+              (sum, { text }) => sum + text.length,
+              0,
+            ),
+        errored: !!result.error,
+      })
+    }
+
+    // 4) Destructure Prettier’s response
+    const {
+      formatted,
+      error,
+      ignored,
+      missingParser,
+      cursorOffset: newCursor,
+    } = result
+
+    // newCursor may be a number or undefined/null.
+    if (newCursor == null) {
+      // Prettier really couldn’t compute a position
+      this._cursorOffset = editor.selectedRange.start
+      log.debug(
+        `Prettier returned no cursor (null/undefined); falling back to editor position ${this._cursorOffset}`,
+      )
+    } else {
+      // A numeric cursor — trust it
+      this._cursorOffset = newCursor
+      log.debug('New Cursor Position:', newCursor)
+    }
+
+    // A selection that can’t be formatted on its own is left as it is
+    if (
+      fragment &&
+      error &&
+      !missingParser &&
+      !error.message?.includes("Couldn't resolve parser")
+    ) {
+      log.info(
+        `Selection in ${document.path} left unchanged, it can’t be formatted on its own: ${error.message.split('\n')[0]}`,
+      )
+      return []
+    }
+
+    // 3) Error or missing parser
+    if (error) {
+      return this._handlePrettierError(
+        error,
+        missingParser,
+        saving,
+        document.path,
+      )
+    }
+
+    // 4) Explicit ignore
+    if (ignored) {
+      log.debug(`Prettier is configured to ignore ${document.path}`)
+      return []
+    }
+
+    const edits =
+      fragment && formatted != null
+        ? fragment.getEdits(formatted)
+        : result.edits
+
+    // 5) No output
+    if (!edits) {
+      log.debug(`Prettier returned no formatted output for ${document.path}`)
+      return []
+    }
+
+    // 6) No changes
+    if (edits.length === 0) {
+      log.debug(`No changes for ${document.path}`)
+      return []
+    }
+
+    // 7) Finally apply
+    await this.applyResult(editor, original, edits)
+  }
+
+  /**
+   * Format only the lines changed since the last commit, as git reports
+   * them. Syntaxes Prettier can format a range of are formatted range by
+   * range, the others hunk by hunk as standalone fragments. Documents
+   * without a committed version are formatted as a whole.
+   *
+   * @param {Editor} editor
+   * @param {boolean} saving
+   * @returns {Promise<Array<Issue>>} – list of formatting issues or []
+   * @throws {never} All errors are caught and returned as [] or via showNotification
+   */
+  async formatModifiedLines(editor, saving) {
+    const { document } = editor
+
+    if (document.isRemote || !document.path) {
+      log.info(
+        `${document.path ?? 'Untitled document'} isn’t a local file, formatting all of it`,
+      )
+      return this.formatEditor(editor, saving, false)
+    }
+
+    const syntaxKey = this.getSyntaxKey(editor)
+    if (!syntaxKey || document.length > this.maxFileSize) {
+      return this.formatEditor(editor, saving, false)
+    }
+
+    const useRanges = supportsRangeFormatting(syntaxKey)
+    if (!useRanges && !supportsFragments(syntaxKey)) {
+      log.info(
+        `Modified lines of ${syntaxKey} can’t be formatted on their own, leaving ${document.path} unchanged`,
+      )
+      return []
+    }
+
+    const original = editor.getTextInRange(new Range(0, document.length))
+
+    // 1) Ask git what changed
+    let modifiedLines
+    try {
+      modifiedLines = await getModifiedLines(document.path, original)
+    } catch (err) {
+      log.error(`Unable to diff ${document.path} with git:`, err.message)
+      return []
+    }
+    if (!modifiedLines) {
+      log.debug(
+        `${document.path} has no committed version, formatting all of it`,
+      )
+      return this.formatEditor(editor, saving, false)
+    }
+    if (modifiedLines.length === 0) {
+      log.debug(`No modified lines in ${document.path}`)
+      return []
+    }
+
+    const resolved = await this.resolveFormatOptions(document, syntaxKey, {
+      saving,
+    })
+    if (!resolved) return []
+    const { options, pathForConfig, modulePath } = resolved
+
+    const service = await this.getService(modulePath)
+    if (!service) {
+      log.error(
+        'Prettier service never started or is not running, skipping format',
+      )
+      return []
+    }
+
+    // 2) Line ranges → offsets, from the start of the first line to the end
+    //    of the last one
+    const lineOffsets = [0]
+    for (const match of original.matchAll(/\n/g)) {
+      lineOffsets.push(match.index + 1)
+    }
+    const lineEnd = (line) => {
+      if (line >= lineOffsets.length) return original.length
+      const end = lineOffsets[line] - 1
+      return original[end - 1] === '\r' ? end - 1 : end
+    }
+
+    // 3) Back to front, so the offsets of earlier hunks stay valid. Each
+    //    edit lies before the ones already made, so all of them refer to
+    //    the original text.
+    const deadline = createDeadline(this.formatTimeout)
+    const ignorePath = this.getIgnorePath(pathForConfig)
+    const edits = []
+    let text = original
+    try {
+      for (const [first, last] of [...modifiedLines].reverse()) {
+        const range = {
+          start: lineOffsets[first - 1],
+          end: lineEnd(last),
+        }
+        const fragment = useRanges
+          ? null
+          : createFragment(syntaxKey, text, range)
+
+        const transfer = createTransfer(fragment ? fragment.source : text)
+        let result
+        try {
+          result = await Promise.race([
+            service.request('format', {
+              ...transfer.params,
+              pathForConfig,
+              ignorePath,
+              options: fragment
+                ? options
+                : { ...options, rangeStart: range.start, rangeEnd: range.end },
+            }),
+            deadline.promise,
+          ])
+          if (result !== TIMED_OUT) result = transfer.receive(result)
+        } finally {
+          transfer.dispose()
+        }
+
+        if (result === TIMED_OUT) {
+          log.warn(`Formatting modified lines of ${document.path} timed out`)
+          return []
+        }
+        if (result.ignored) {
+          log.debug(`Prettier is configured to ignore ${document.path}`)
+          return []
+        }
+        if (result.error || result.missingParser) {
+          if (!fragment || result.missingParser) {
+            return this._handlePrettierError(
+              result.error || {},
+              result.missingParser,
+              saving,
+              document.path,
+            )
+          }
+          log.info(
+            `Lines ${first}–${last} of ${document.path} left unchanged, they can’t be formatted on their own: ${result.error.message.split('\n')[0]}`,
+          )
+          continue
+        }
+
+        const edit = fragment
+          ? fragment.getEdits(result.formatted)[0]
+          : trimEdit(text, result.formatted)
+        if (!edit) continue
+        if (edits.length > 0 && edit.end > edits[0].start) {
+          log.debug(
+            `Formatting lines ${first}–${last} overlaps a later hunk, skipped`,
+          )
+          continue
+        }
+        edits.unshift(edit)
+        text = text.slice(0, edit.start) + edit.text + text.slice(edit.end)
+      }
+    } finally {
+      deadline.clear()
+    }
+
+    if (edits.length === 0) {
+      log.debug(`No changes for ${document.path}`)
+      return []
+    }
+
+    this._cursorOffset = null
+    await this.applyResult(editor, original, edits)
+    return []
+  }
+
+  /**
+   * Whether this editor’s text is already formatted, honoring the
+   * format-on-save ignore settings.
+   *
+   * @param {Editor} editor
+   * @returns {Promise<boolean|null>} – null if it can’t be told, e.g. because
+   *   the document doesn’t parse or is ignored
+   */
+  async isFormatted(editor) {
+    const { document } = editor
+    if (document.length > this.maxFileSize) return null
+
+    const syntaxKey = this.getSyntaxKey(editor)
+    if (!syntaxKey) return null
+
+    const resolved = await this.resolveFormatOptions(document, syntaxKey, {
+      saving: true,
+    })
+    if (!resolved) return null
+
+    const { options, pathForConfig, modulePath } = resolved
+    const service = await this.getService(modulePath)
+    if (!service) return null
+
+    const transfer = createTransfer(
+      editor.getTextInRange(new Range(0, document.length)),
+    )
+    try {
+      const { isFormatted, error, ignored, missingParser } =
+        await service.request('check', {
+          ...transfer.params,
+          pathForConfig,
+          ignorePath: this.getIgnorePath(pathForConfig),
+          options,
+        })
+      if (error || ignored || missingParser) return null
+      return isFormatted
+    } catch (err) {
+      log.error(
+        `Prettier IPC error in check: ${err.name}: ${err.message}\n${err.stack}`,
+      )
+      return null
+    } finally {
+      transfer.dispose()
+    }
+  }
+
+  /**
+   * Check whether this editor’s text is already formatted, without touching it.
+   * @param {Editor} editor
+   * @param {boolean} [background=false] – invoked automatically on open or change;
+   *                                       suppresses the missing-parser notification
+   * @returns {Promise<Array<Issue>>} – an informational issue if the document
+   *                                    isn’t formatted, parse errors, or []
+   */
+  async checkEditor(editor, background = false) {
+    const { document } = editor
+
+    if (document.length > this.maxFileSize) {
+      log.debug(`Skipping check of ${document.path}: document too large`)
+      return []
+    }
+
+    const syntaxKey = this.getSyntaxKey(editor)
+    if (!syntaxKey) {
+      log.debug(`No syntax detected for ${document.path}; skipping check.`)
+      return []
+    }
+
+    const resolved = await this.resolveFormatOptions(document, syntaxKey)
+    if (!resolved) return []
+
+    const { options, pathForConfig, modulePath } = resolved
+
+    const service = await this.getService(modulePath)
+    if (!service) {
+      log.error(
+        'Prettier service never started or is not running, skipping check',
+      )
+      return []
+    }
+
+    const uri = document.uri.toString()
+
+    // Checks and formats run independently, so they get their own request IDs
+    const last = this._latestCheckIds.get(uri) || 0
+    const requestId = last + 1
+    this._latestCheckIds.set(uri, requestId)
+
+    const transfer = createTransfer(
+      editor.getTextInRange(new Range(0, document.length)),
+    )
+    let result
+    try {
+      result = await service.request('check', {
+        ...transfer.params,
+        pathForConfig,
+        ignorePath: this.getIgnorePath(pathForConfig),
+        options,
+      })
+    } catch (err) {
+      log.error(
+        `Prettier IPC error in check: ${err.name}: ${err.message}\n${err.stack}`,
+      )
+      return []
+    } finally {
+      transfer.dispose()
+    }
+
+    if (requestId !== this._latestCheckIds.get(uri)) {
+      log.debug('Stale Prettier check response, ignoring')
+      return []
+    }
+    this._latestCheckIds.delete(uri)
+
+    const { isFormatted, error, ignored, missingParser } = result
+
+    if (error || missingParser) {
+      return this._handlePrettierError(
+        error || {},
+        missingParser,
+        background,
+        document.path,
+      )
+    }
+
+    if (ignored || isFormatted) return []
+
+    log.debug(`${document.path} is not formatted`)
+
+    const issue = new Issue()
+    issue.message = nova.localize(
+      'prettier.issue.check.unformatted',
+      'This document isn’t formatted with Prettier.',
+    )
+    issue.code = 'prettier-check'
+    issue.severity = IssueSeverity.Info
+    issue.line = 1
+    issue.column = 1
+
+    return [issue]
+  }
+
+  /**
+   * Resolve the options Prettier would use for this editor, the same way
+   * `formatEditor` and the service merge them, and tell where each came from.
+   * @param {Editor} editor
+   * @returns {Promise<object|null>} – a JSON-serializable report, or null if
+   *                                   the document has no supported syntax
+   * @throws {Error} if the Prettier service isn’t running
+   */
+  async explainConfig(editor) {
+    const { document } = editor
+
+    const syntaxKey = this.getSyntaxKey(editor)
+    if (!syntaxKey) return null
+
+    const { options, pathForConfig, sources, modulePath } =
+      await this.resolveFormatOptions(document, syntaxKey, { force: true })
+
+    const service = await this.getService(modulePath)
+    if (!service) throw new Error('Prettier service is not running')
+
+    const result = await service.request('explainConfig', {
+      pathForConfig,
+      ignorePath: this.getIgnorePath(pathForConfig),
+      options,
+    })
+
+    const report = {
+      file: document.path ?? document.uri,
+      syntax: syntaxKey,
+      prettier: modulePath,
+    }
+    if (result.ignored) {
+      return {
+        ...report,
+        ignored: true,
+        ignorePath: this.getIgnorePath(pathForConfig),
+      }
+    }
+
+    // Extension options override the resolved config, see `getConfig`
+    const explained = {}
+    for (const [key, value] of Object.entries(result.config)) {
+      let source
+      if (key === 'parser' && result.inferredParser) {
+        source = { source: 'Inferred by Prettier from the file path' }
+      } else if (key in sources) {
+        source = sources[key]
+      } else if (key in result.fromConfigFile) {
+        source = { source: 'Prettier config file', path: result.configFile }
+      } else if (key in result.fromEditorconfig) {
+        source = { source: '.editorconfig' }
+      } else {
+        source = { source: 'Unknown' }
+      }
+      explained[key] = { value, ...source }
+    }
+
+    return {
+      ...report,
+      configFile: result.configFile,
+      ignoredConfigFile: !!options._ignoreConfigFile,
+      customConfigFile: options._customConfigFile || null,
+      options: explained,
+    }
+  }
+
+  /**
+   * Format files on disk in a single service round trip. Used for bulk
+   * formatting; the format-on-save ignore settings apply.
+   *
+   * @param {string[]} paths – absolute paths of the files to format
+   * @returns {Promise<Array<{
+   *   path: string,
+   *   status: 'changed' | 'unchanged' | 'ignored' | 'error',
+   *   error?: { name: string, message: string }
+   * }>>}
+   * @throws {Error} if the Prettier service isn’t running
+   */
+  async formatFiles(paths) {
+    const results = []
+    /** @type {Map<string,Array<object>>} files per Prettier module */
+    const filesByModule = new Map()
+
+    for (const path of paths) {
+      // Files on disk have no Nova syntax, so detection relies on the path alone
+      const document = { path, uri: path, syntax: null, isRemote: false }
+      const syntaxKey = detectSyntax(document)
+
+      const resolved = syntaxKey
+        ? await this.resolveFormatOptions(document, syntaxKey, {
+            saving: true,
+          })
+        : null
 
-    // Skip formatting files larger than 32 MiB to stay within the IPC payload limit.
-    // Files up to ~42 MiB have been tested, but anything over 32 MiB isn’t officially
-    // supported.
-    const MAX_FILE_SIZE = 32 * 1024 * 1024 // 32 MiB
-    if (document.length > MAX_FILE_SIZE) {
-      showNotification({
-        id: 'prettier-file-too-large',
-        title: nova.localize(
-          'prettier.notification.fileTooLarge.title',
-          'Document Too Large',
-          'notification',
-        ),
-        body: [
-          nova.localize(
-            'prettier.notification.fileTooLarge.body.prefix',
-            'Cannot format this document:',
-            'notification',
-          ),
-          ` ${(document.length / 2 ** 20).toFixed(1)} MiB `,
-          nova.localize(
-            'prettier.notification.fileTooLarge.body.suffix',
-            'exceeds the 32 MiB limit.',
-            'notification',
-          ),
-        ].join(''),
+      if (!resolved) {
+        results.push({ path, status: 'ignored' })
+        continue
+      }
+
+      if (!filesByModule.has(resolved.modulePath)) {
+        filesByModule.set(resolved.modulePath, [])
+      }
+      filesByModule.get(resolved.modulePath).push({
+        path,
+        pathForConfig: resolved.pathForConfig,
+        ignorePath: this.getIgnorePath(resolved.pathForConfig),
+        options: resolved.options,
+        embeddedSql: resolved.embeddedSql,
       })
-      return []
     }
 
-    const syntaxKey = this.getSyntaxKey(editor)
-    log.debug(`Resolved Syntax Key: ${syntaxKey}`)
+    for (const [modulePath, files] of filesByModule) {
+      const service = await this.getService(modulePath)
+      if (!service) {
+        throw new Error('Prettier service never started or is not running')
+      }
 
-    // If we couldn’t detect a syntax, don’t even try to format
-    if (!syntaxKey) {
-      log.info(`No syntax detected for ${document.path}; skipping formatting.`)
-      return []
+      results.push(...(await service.request('formatFiles', { files })))
     }
 
-    cancelNotification('prettier-unsupported-syntax')
+    return results
+  }
 
+  /**
+   * Resolve the Prettier options for a document: the custom config file or the
+   * extension’s defaults, the enabled plugins and their options.
+   *
+   * @param {TextDocument} document
+   * @param {string} syntaxKey
+   * @param {object} [opts]
+   * @param {boolean} [opts.saving=false] – honor the format-on-save ignore settings
+   * @param {boolean} [opts.force=false]  – resolve options even if the document is ignored
+   * @returns {Promise<{
+   *   options: object,
+   *   pathForConfig: string,
+   *   sources: Object<string, object>,
+   *   modulePath: string,
+   *   embeddedSql?: { host: 'js'|'php', options: object },
+   * } | null>}
+   *   `null` if the document shouldn’t be formatted; `sources` tells where
+   *   each option came from, `modulePath` which Prettier to format it with
+   *   and `embeddedSql` how to format SQL embedded in it
+   */
+  async resolveFormatOptions(
+    document,
+    syntaxKey,
+    { saving = false, force = false } = {},
+  ) {
     // Read the custom config file path from settings.
     const customConfigFile = getConfigWithWorkspaceOverride(
       'prettier.config.file',
@@ -390,351 +1246,127 @@ class Formatter {
     }
 
     const pathForConfig = document.path || nova.workspace.path
+    const modulePath = this.resolveModulePath(
+      document.isRemote ? null : document.path,
+    )
     const shouldApplyDefaultConfig = await this.shouldApplyDefaultConfig(
       syntaxKey,
       document,
       saving,
       pathForConfig,
+      modulePath,
     )
-    if (shouldApplyDefaultConfig === null && !flags.force) return []
+    if (shouldApplyDefaultConfig === null && !force) return null
 
     // Retrieve the ignore flag and custom config file settings:
     const ignoreConfigFile = getConfigWithWorkspaceOverride(
       'prettier.config.ignore',
     )
 
-    log.debug(`[Forced=${flags.force}] Formatting ${document.path}`)
     log.debug(`Document Syntax: ${syntaxKey}`)
     log.debug(`Document URI: ${document.uri}`)
 
-    const documentRange = new Range(0, document.length)
-    const original = editor.getTextInRange(documentRange)
-
-    // Check if plugins are enabled
-    const astroPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-astro.enabled',
-    )
-
-    const bladePluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-blade.enabled',
-    )
-
-    const ejsPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-ejs.enabled',
-    )
-
-    const ejsTailwindPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-ejs-tailwindcss.enabled',
-    )
-
-    const javaPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-java.enabled',
-    )
-
-    const liquidPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-liquid.enabled',
-    )
-
-    const nginxPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-nginx.enabled',
-    )
-
-    const phpPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-php.enabled',
-    )
-
-    const propertiesPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-properties.enabled',
-    )
-
-    /// Retrieve the configured SQL formatter type
-    const sqlFormatter = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-sql.formatter',
-    )
-
-    const sqlPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-sql.enabled',
-    )
-
-    const tailwindSyntaxesEnabled = getConfigWithWorkspaceOverride(
-      `prettier.plugins.prettier-plugin-tailwind.syntaxes.${syntaxKey}`,
-    )
-
-    const tailwindPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-tailwind.enabled',
-    )
-
-    const tomlPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-toml.enabled',
-    )
-
-    const twigPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-twig.enabled',
-    )
-
-    const xmlPluginEnabled = getConfigWithWorkspaceOverride(
-      'prettier.plugins.prettier-plugin-xml.enabled',
-    )
-
-    // 1) Build a lookup map once
-    const pluginConfigMap = {
-      astro: { enabled: astroPluginEnabled, path: pluginPaths.astro },
-      blade: { enabled: bladePluginEnabled, path: pluginPaths.blade },
-      java: { enabled: javaPluginEnabled, path: pluginPaths.java },
-      'java-properties': {
-        enabled: propertiesPluginEnabled,
-        path: pluginPaths.properties,
-      },
-      'liquid-html': { enabled: liquidPluginEnabled, path: pluginPaths.liquid },
-      'liquid-md': { enabled: liquidPluginEnabled, path: pluginPaths.liquid },
-      nginx: { enabled: nginxPluginEnabled, path: pluginPaths.nginx },
-      php: { enabled: phpPluginEnabled, path: pluginPaths.php },
-      sql: { enabled: sqlPluginEnabled, path: pluginPaths.sql },
-      toml: { enabled: tomlPluginEnabled, path: pluginPaths.toml },
-      twig: { enabled: twigPluginEnabled, path: pluginPaths.twig },
-      xml: { enabled: xmlPluginEnabled, path: pluginPaths.xml },
-    }
+    // 1) Bundled and custom plugins for the syntax, in load order
+    const pluginEntries = getPluginsForSyntax(syntaxKey)
 
-    // 2) Kick off with an empty array
-    const plugins = []
+    // 2) Only the bundled Prettier gets them; a project’s Prettier loads the
+    //    plugins from its own config file
+    const plugins = modulePath?.includes(nova.extension.path)
+      ? pluginEntries.map((entry) => entry.path)
+      : []
 
-    // 3) Conditionally load plugins if enabled
-    if (this.modulePath.includes(nova.extension.path)) {
-      const selectedPlugin = pluginConfigMap[syntaxKey]
+    const baseConfig = customConfigFile
+      ? customFileConfig
+      : ignoreConfigFile || shouldApplyDefaultConfig
+        ? this.defaultConfig
+        : {}
 
-      if (selectedPlugin?.enabled) {
-        plugins.push(selectedPlugin.path)
-      }
-
-      // prettier-plugin-tailwindcss must be loaded last.
-      // See: https://github.com/tailwindlabs/prettier-plugin-tailwindcss#compatibility-with-other-prettier-plugins
-      if (tailwindSyntaxesEnabled && tailwindPluginEnabled) {
-        plugins.push(pluginPaths.tailwind)
-      }
-
-      // Pick the right ejs plugin
-      // When using prettier-plugin-ejs-tailwindcss it must be loaded after prettier-plugin-tailwindcss.
-      if (syntaxKey === 'html+ejs' || syntaxKey === 'html') {
-        const useTailwindEJS =
-          tailwindPluginEnabled &&
-          tailwindSyntaxesEnabled &&
-          ejsTailwindPluginEnabled
-
-        if (useTailwindEJS) {
-          plugins.push(pluginPaths.ejsTailwind)
-        } else if (ejsPluginEnabled) {
-          plugins.push(pluginPaths.ejs)
-        }
-      }
-    }
+    const parserOverride = getParserOverride(document, syntaxKey)
 
     const options = {
-      parser: this.getParserForSyntax(syntaxKey),
+      parser: parserOverride?.parser ?? this.getParserForSyntax(syntaxKey),
       ...(plugins.length > 0 ? { plugins } : {}),
       ...(document.path ? { filepath: document.path } : {}),
-      ...(customConfigFile
-        ? customFileConfig
-        : ignoreConfigFile || shouldApplyDefaultConfig
-          ? this.defaultConfig
-          : {}),
-      ...(selectionOnly
-        ? {
-            rangeStart: editor.selectedRange.start,
-            rangeEnd: editor.selectedRange.end,
-          }
-        : {}),
+      ...baseConfig,
       // Pass the flag to the Prettier service so it knows to ignore external config.
       _ignoreConfigFile: ignoreConfigFile,
       _customConfigFile: customConfigFile,
+      _keepParser: !!parserOverride,
     }
 
-    // Apply plugin options only if no config is found or it’s intentionally ignored.
-    if (!customConfigFile && (ignoreConfigFile || shouldApplyDefaultConfig)) {
-      // Add ASTRO plugin options if the document syntax is ASTRO
-      if (syntaxKey === 'astro') {
-        Object.assign(options, this.astroConfig)
-      }
-
-      // Add BLADE plugin options if the document syntax is BLADE
-      if (syntaxKey === 'blade') {
-        Object.assign(options, this.bladeConfig)
-      }
-
-      // Add PROPERTIES plugin options if the document syntax is JAVA-PROPERTIES
-      if (syntaxKey === 'java-properties') {
-        Object.assign(options, this.propertiesConfig)
-      }
-
-      // Add LIQUID plugin options if the document syntax is LIQUID
-      if (syntaxKey === 'liquid-html' || syntaxKey === 'liquid-md') {
-        Object.assign(options, this.liquidConfig)
-      }
-
-      // Add NGINX plugin options if the document syntax is NGINX
-      if (syntaxKey === 'nginx') {
-        Object.assign(options, this.nginxConfig)
-      }
+    // Remember where each option came from, see `explainConfig`
+    const sources = {
+      parser: parserOverride?.source ?? {
+        source: 'Syntax detection',
+        syntax: syntaxKey,
+      },
+      ...(plugins.length > 0 ? { plugins: { source: 'Plugin settings' } } : {}),
+      ...(document.path ? { filepath: { source: 'Document' } } : {}),
+    }
+    for (const key of Object.keys(baseConfig)) {
+      sources[key] = customConfigFile
+        ? { source: 'Custom config file', path: customConfigFile }
+        : describeSetting(
+            'Default config settings',
+            `prettier.default-config.${key}`,
+          )
+    }
 
-      // Add PHP plugin options if the document syntax is PHP
-      if (syntaxKey === 'php') {
-        Object.assign(options, this.phpConfig)
+    const assignPluginConfig = (config, configKeyBase) => {
+      Object.assign(options, config)
+      for (const key of Object.keys(config)) {
+        sources[key] = describeSetting(
+          'Plugin settings',
+          `${configKeyBase}.${key}`,
+        )
       }
+    }
 
-      // Add SQL plugin options if the document syntax is SQL
-      if (syntaxKey === 'sql') {
-        if (sqlFormatter === 'sql-formatter') {
-          const config = { ...this.sqlFormatterConfig }
-
-          if (config.language === 'auto') {
-            config.language = getSqlDialectFromUriOrSyntax(
-              document.uri,
-              document.syntax,
-            )
-            log.debug(`Auto-detected SQL dialect: ${config.language}`)
-          }
-
-          Object.assign(options, config)
-        } else if (sqlFormatter === 'node-sql-parser') {
-          const config = { ...this.nodeSqlParserConfig }
-
-          if (config.database === 'auto') {
-            config.database = getSqlParserDialect(document.uri, document.syntax)
-            log.debug(`Using node-sql-parser dialect: ${config.database}`)
-          }
-
-          Object.assign(options, config)
+    // Apply plugin options only if no config is found or it’s intentionally ignored.
+    if (!customConfigFile && (ignoreConfigFile || shouldApplyDefaultConfig)) {
+      for (const entry of pluginEntries) {
+        const pluginConfig = entry.getConfig?.(document)
+        if (pluginConfig) {
+          assignPluginConfig(pluginConfig.config, pluginConfig.configKeyBase)
         }
       }
-
-      // Add TAILWIND plugin options if the document syntax is of a supported type
-      // and the plugin is enabled
-      if (tailwindSyntaxesEnabled && tailwindPluginEnabled) {
-        Object.assign(options, this.tailwindConfig)
-      }
-
-      // ADD TOML plugin options if the document syntax is TOML
-      if (syntaxKey === 'toml') {
-        Object.assign(options, this.tomlConfig)
-      }
-
-      // ADD TWIG plugin options if the document syntax is TWIG
-      if (syntaxKey === 'twig') {
-        Object.assign(options, this.twigConfig)
-      }
-
-      // Add XML plugin options if the document syntax is XML
-      if (syntaxKey === 'xml') {
-        Object.assign(options, this.xmlConfig)
-      }
-    }
-
-    // Log the options being used
-    log.debug('Prettier options:', JSON.stringify(options, null, 2))
-
-    // 1) Ensure the JSON-RPC service is ready
-    const ready = await this.isReady
-    if (!ready) {
-      log.error(
-        'Prettier service never started or is not running, skipping format',
-      )
-      return []
     }
 
-    // Identify this file
-    const uri = editor.document.uri.toString()
-
-    // bump and capture this file’s request ID
-    const last = this._latestRequestIds.get(uri) || 0
-    const requestId = last + 1
-    this._latestRequestIds.set(uri, requestId)
-
-    // 2) Fire the format request, catching any IPC failure
-    let result
-    try {
-      result = await this.prettierService.request('format', {
-        original,
-        pathForConfig,
-        ignorePath: flags.force ? null : this.getIgnorePath(pathForConfig),
+    // SQL in sql`…` templates and PHP heredocs is formatted after the host
+    // code, with the bundled plugin and its settings
+    let embeddedSql
+    if (
+      EMBEDDED_SQL_HOSTS[syntaxKey] &&
+      getConfigWithWorkspaceOverride(
+        'prettier.plugins.prettier-plugin-sql.enabled',
+      ) &&
+      getConfigWithWorkspaceOverride(
+        'prettier.plugins.prettier-plugin-sql.embedded',
+      ) &&
+      modulePath?.includes(nova.extension.path)
+    ) {
+      embeddedSql = {
+        host: EMBEDDED_SQL_HOSTS[syntaxKey],
         options: {
-          ...options,
-          cursorOffset: editor.selectedRange.start, // send cursor position
+          plugins: [getBundledPlugin('sql').path],
+          formatter: getConfigWithWorkspaceOverride(
+            'prettier.plugins.prettier-plugin-sql.formatter',
+          ),
+          ...getSqlPluginConfig(document)?.config,
         },
-        withCursor: true, // signal that we want formatWithCursor
-      })
-    } catch (err) {
-      log.error(
-        `Prettier IPC error in format: ${err.name}: ${err.message}\n${err.stack}`,
-      )
-      return []
-    }
-
-    // 3) If a newer call for **this same file** started in the meantime, drop
-    // This check ensures that stale responses are ignored when multiple format
-    // requests are fired concurrently for the same file. It compares the current
-    // request ID with the latest request ID stored for the file.
-    if (requestId !== this._latestRequestIds.get(uri)) {
-      log.debug('Stale Prettier response, ignoring')
-      return []
-    }
-
-    // 3.1) remove the entry so we don’t leak
-    this._latestRequestIds.delete(uri)
-
-    // 4) Destructure Prettier’s response
-    const {
-      formatted,
-      error,
-      ignored,
-      missingParser,
-      cursorOffset: newCursor,
-    } = result
-
-    // newCursor may be a number or undefined/null.
-    if (newCursor == null) {
-      // Prettier really couldn’t compute a position
-      this._cursorOffset = editor.selectedRange.start
-      log.debug(
-        `Prettier returned no cursor (null/undefined); falling back to editor position ${this._cursorOffset}`,
-      )
-    } else {
-      // A numeric cursor — trust it
-      this._cursorOffset = newCursor
-      log.debug('New Cursor Position:', newCursor)
-    }
-
-    // 3) Error or missing parser
-    if (error) {
-      return this._handlePrettierError(
-        error,
-        missingParser,
-        saving,
-        document.path,
-      )
-    }
-
-    // 4) Explicit ignore
-    if (ignored) {
-      log.debug(`Prettier is configured to ignore ${document.path}`)
-      return []
-    }
-
-    // 5) No output
-    if (!formatted) {
-      log.debug(`Prettier returned no formatted output for ${document.path}`)
-      return []
-    }
-
-    // 6) No changes
-    if (formatted === original) {
-      log.debug(`No changes for ${document.path}`)
-      return []
+      }
     }
 
-    // 7) Finally apply
-    await this.applyResult(editor, original, formatted)
+    return { options, pathForConfig, sources, modulePath, embeddedSql }
   }
 
-  async shouldApplyDefaultConfig(syntaxKey, document, saving, pathForConfig) {
+  async shouldApplyDefaultConfig(
+    syntaxKey,
+    document,
+    saving,
+    pathForConfig,
+    modulePath,
+  ) {
     // Don't format-on-save ignore syntaxes.
     if (
       saving &&
@@ -759,10 +1391,10 @@ class Formatter {
     } else {
       // Try to resolve configuration using Prettier for non-remote documents.
       // 1) Wait for didStart handshake
-      const ready = await this.isReady
-      if (ready) {
+      const service = await this.getService(modulePath)
+      if (service) {
         try {
-          hasConfig = await this.prettierService.request('hasConfig', {
+          hasConfig = await service.request('hasConfig', {
             pathForConfig,
           })
         } catch (err) {
@@ -804,6 +1436,8 @@ class Formatter {
         return 'typescript'
       case 'flow':
         return 'babel-flow'
+      case 'handlebars':
+        return 'glimmer'
       case 'java-properties':
         return 'dot-properties'
       case 'liquid-html':
@@ -813,18 +1447,30 @@ class Formatter {
       case 'html+ejs':
         return 'html'
       default:
-        return syntax
+        // Languages added by a newer Prettier or a plugin
+        return getParserFromSupportInfo(syntax) ?? syntax
     }
   }
 
-  async applyResult(editor, original, formatted) {
-    log.info(`Applying formatted changes to ${editor.document.path}`)
-
-    const documentRange = new Range(0, editor.document.length)
+  /**
+   * Apply the edits of a format and move the cursor to where Prettier put it.
+   *
+   * @param {TextEditor} editor
+   * @param {string} original  – The text the edits were computed for
+   * @param {Array<{ start: number, end: number, text: string }>} edits
+   */
+  async applyResult(editor, original, edits) {
+    // The offsets are only valid for the text that was formatted
+    const { document } = editor
+    if (editor.getTextInRange(new Range(0, document.length)) !== original) {
+      log.info(`${document.path} changed while formatting, not applying`)
+      return
+    }
 
-    await editor.edit((e) => {
-      e.replace(documentRange, formatted)
-    })
+    log.info(
+      `Applying ${edits.length} formatting change(s) to ${document.path}`,
+    )
+    await this.replace(editor, edits)
 
     const cursorOffset =
       this._cursorOffset != null ? this._cursorOffset : editor.selectedRange.end
@@ -833,21 +1479,26 @@ class Formatter {
     editor.scrollToPosition(cursorOffset)
   }
 
-  async replace(editor, formatted) {
-    const { document } = editor
-
-    const cursorPosition = editor.selectedRange.end
-    const documentRange = new Range(0, document.length)
-
+  /**
+   * Apply edits in one transaction, so they make a single undo step. Edits
+   * are applied back to front, which keeps the offsets of the remaining ones
+   * valid.
+   *
+   * @param {TextEditor} editor
+   * @param {Array<{ start: number, end: number, text: string }>} edits
+   *   Non-overlapping, in ascending order
+   */
+  async replace(editor, edits) {
     await editor.edit((e) => {
-      e.replace(documentRange, formatted)
+      for (let i = edits.length - 1; i >= 0; i--) {
+        const { start, end, text } = edits[i]
+        e.replace(new Range(start, end), text)
+      }
     })
-
-    editor.selectedRanges = [new Range(cursorPosition, cursorPosition)]
   }
 
   _handlePrettierError(error, missingParser, saving, filePath) {
-    const isParserError = error.message.includes("Couldn't resolve parser")
+    const isParserError = !!error.message?.includes("Couldn't resolve parser")
 
     if (isParserError || missingParser) {
       if (!saving) {
@@ -873,37 +1524,84 @@ class Formatter {
     return this._issuesFromPrettierError(error)
   }
 
+  /**
+   * Turn a serialized Prettier error into an issue spanning its location.
+   * Errors without a `loc` fall back to scraping the position from the
+   * message, and to the first line if that fails too, as with plugins that
+   * report positions their own way.
+   *
+   * @param {object} error  – As returned by the service
+   * @returns {Issue[]}
+   * @throws the error itself if no parser could be inferred
+   */
   _issuesFromPrettierError(error) {
     // If the error doesn't have a message just ignore it.
     if (typeof error.message !== 'string') return []
 
     if (error.name === 'UndefinedParserError') throw error
 
-    // See if it's a simple error
-    let lineData = error.message.match(/\((\d+):(\d+)\)\n/m)
-    // See if it's a visual error
-    if (!lineData) {
-      lineData = error.message.match(/^>\s*?(\d+)\s\|\s/m)
-      if (lineData) {
-        const columnData = error.message.match(/^\s+\|(\s+)\^+($|\n)/im)
-        lineData[2] = columnData ? columnData[1].length + 1 : 0
-      }
-    }
+    const { loc } = error
+    const [line, column] = loc
+      ? [loc.start.line, loc.start.column]
+      : (this._positionFromErrorMessage(error.message) ?? [1, 1])
 
-    if (!lineData) {
-      throw error
-    }
+    if (error.cause) log.debug('Parser error:', error.cause.message)
 
     const issue = new Issue()
-    issue.message = error.stack
-      ? error.message
-      : error.message.split(/\n\s*?at\s+/i)[0] // When error is only a message it probably has the stack trace appended. Remove it.
+    issue.message = this._messageFromPrettierError(error)
     issue.severity = IssueSeverity.Error
-    issue.line = lineData[1]
-    issue.column = lineData[2]
+    issue.line = line
+    issue.column = column
+    if (loc?.end) {
+      issue.endLine = loc.end.line
+      issue.endColumn = loc.end.column
+    }
 
     return [issue]
   }
+
+  /**
+   * Scrape line and column from an error message, either a simple
+   * `(12:5)` suffix or the `>` marker of a code frame.
+   *
+   * @private
+   * @param {string} message
+   * @returns {[number, number]|null}
+   */
+  _positionFromErrorMessage(message) {
+    // See if it's a simple error
+    const simple = message.match(/\((\d+):(\d+)\)\n/m)
+    if (simple) return [Number(simple[1]), Number(simple[2])]
+
+    // See if it's a visual error
+    const visual = message.match(/^>\s*?(\d+)\s\|\s/m)
+    if (!visual) return null
+    const columnData = message.match(/^\s+\|(\s+)\^+($|\n)/im)
+    return [Number(visual[1]), columnData ? columnData[1].length + 1 : 0]
+  }
+
+  /**
+   * The message of a Prettier error without its code frame and position.
+   *
+   * @private
+   * @param {object} error
+   * @returns {string}
+   */
+  _messageFromPrettierError(error) {
+    let { message } = error
+    if (error.codeFrame) {
+      message = message.replace(`\n${error.codeFrame}`, '')
+    }
+    if (error.loc) {
+      const { line, column } = error.loc.start
+      message = message.replace(` (${line}:${column})`, '')
+    }
+
+    // When error is only a message it probably has the stack trace appended. Remove it.
+    if (!error.stack) message = message.split(/\n\s*?at\s+/i)[0]
+
+    return message.trim()
+  }
 }
 
 module.exports = {
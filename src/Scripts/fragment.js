@@ -0,0 +1,224 @@
+/**
+ * fragment.js — Format Selection for syntaxes without range formatting
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Prettier only honors `rangeStart`/`rangeEnd` for JavaScript, TypeScript
+ * and GraphQL. For the syntaxes below the selected text is
+ * formatted on its own instead: wrapped in a synthetic context where it
+ * can’t stand alone (declarations in a rule, JSON members in an object, PHP
+ * code after `<?php`), formatted with the document’s parser and indented
+ * back to where it was.
+ */
+
+// Syntaxes Prettier can format a range of
+const RANGE_SYNTAXES = new Set([
+  'graphql',
+  'javascript',
+  'jsx',
+  'tsx',
+  'typescript',
+])
+
+// Syntaxes whose selection is formatted on its own instead
+const FRAGMENT_SYNTAXES = new Set([
+  'css',
+  'handlebars',
+  'html',
+  'json',
+  'less',
+  'markdown',
+  'mdx',
+  'php',
+  'scss',
+  'sql',
+  'yaml',
+])
+
+/**
+ * @typedef {Object} Wrapper
+ * @property {string} source                        Text to format
+ * @property {(formatted: string) => string} unwrap  Formatted fragment
+ */
+
+/**
+ * Remove the indentation all non-empty lines have in common.
+ *
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function dedent(lines) {
+  const indents = lines
+    .filter((line) => line.trim())
+    .map((line) => line.match(/^[ \t]*/)[0].length)
+  const common = indents.length > 0 ? Math.min(...indents) : 0
+  return lines.map((line) => line.slice(Math.min(common, line.length)))
+}
+
+/**
+ * Take the contents out of a formatted `open … close` wrapper, whether
+ * Prettier broke it over several lines or kept it on one.
+ *
+ * @param {string} formatted
+ * @param {string} open
+ * @param {string} close
+ * @returns {string}
+ */
+function unwrapBlock(formatted, open, close) {
+  const text = formatted.trim()
+  const start = text.indexOf(open) + open.length
+  const end = text.lastIndexOf(close)
+  const inner = text.slice(start, end)
+  if (!inner.includes('\n')) return inner.trim()
+  const lines = inner.split('\n').slice(1, -1)
+  return dedent(lines).join('\n')
+}
+
+/**
+ * CSS declarations without a rule around them.
+ *
+ * @param {string} code
+ * @returns {Wrapper|null}
+ */
+function wrapDeclarations(code) {
+  if (code.includes('{')) return null
+  return {
+    source: `a {\n${code}\n}\n`,
+    unwrap: (formatted) => unwrapBlock(formatted, '{', '}'),
+  }
+}
+
+/**
+ * JSON members without their object, or elements without their array. A
+ * trailing comma is put back after formatting.
+ *
+ * @param {string} code
+ * @returns {Wrapper|null}
+ */
+function wrapMembers(code) {
+  const trailingComma = code.endsWith(',')
+  const body = trailingComma ? code.slice(0, -1).trimEnd() : code
+
+  // A single complete value formats as it is
+  const isMember = /^"(?:[^"\\]|\\.)*"\s*:/.test(body)
+  const isValue = /^[{[].*[}\]]$/s.test(body) || !body.includes(',')
+  if (!isMember && !trailingComma && isValue) return null
+
+  const [open, close] = isMember ? ['{', '}'] : ['[', ']']
+  return {
+    source: `${open}\n${body}\n${close}\n`,
+    unwrap: (formatted) =>
+      unwrapBlock(formatted, open, close) + (trailingComma ? ',' : ''),
+  }
+}
+
+/**
+ * PHP code without an opening tag.
+ *
+ * @param {string} code
+ * @returns {Wrapper|null}
+ */
+function wrapPhp(code) {
+  if (code.startsWith('<?')) return null
+  return {
+    source: `<?php\n${code}\n`,
+    unwrap: (formatted) => formatted.replace(/^<\?php\s*/, ''),
+  }
+}
+
+const WRAPPERS = {
+  css: wrapDeclarations,
+  json: wrapMembers,
+  less: wrapDeclarations,
+  php: wrapPhp,
+  scss: wrapDeclarations,
+}
+
+/**
+ * Whether Prettier honors `rangeStart`/`rangeEnd` for a syntax.
+ *
+ * @param {string} syntaxKey
+ * @returns {boolean}
+ */
+function supportsRangeFormatting(syntaxKey) {
+  return RANGE_SYNTAXES.has(syntaxKey)
+}
+
+/**
+ * Whether Format Selection formats the selection of a syntax on its own.
+ *
+ * @param {string} syntaxKey
+ * @returns {boolean}
+ */
+function supportsFragments(syntaxKey) {
+  return FRAGMENT_SYNTAXES.has(syntaxKey)
+}
+
+/**
+ * Prepare the selection of a document for formatting on its own.
+ *
+ * Whitespace around the selection stays where it is. The selected lines are
+ * dedented by the indentation of the line the code starts on, and the
+ * formatted lines indented by it again.
+ *
+ * @param {string} syntaxKey
+ * @param {string} text                           – The whole document
+ * @param {{ start: number, end: number }} range – The selection
+ * @returns {{
+ *   source: string,
+ *   getEdits: (formatted: string) => Array<{ start: number, end: number, text: string }>,
+ * }}
+ *   `source` is the text to format; `getEdits` turns the formatted source
+ *   into edits of the document
+ */
+function createFragment(syntaxKey, text, { start, end }) {
+  const selected = text.slice(start, end)
+  const head = selected.match(/^\s*/)[0]
+  const tail = head.length < selected.length ? selected.match(/\s*$/)[0] : ''
+  const code = selected.slice(head.length, selected.length - tail.length)
+
+  // Indentation of the line the code starts on
+  const codeStart = start + head.length
+  const lineStart = text.lastIndexOf('\n', codeStart - 1) + 1
+  const baseIndent = text.slice(lineStart).match(/^[ \t]*/)[0]
+
+  const eol = text.includes('\r\n') ? '\r\n' : '\n'
+  const dedented = code
+    .split(/\r?\n/)
+    .map((line, i) => {
+      if (i === 0) return line
+      return line.startsWith(baseIndent)
+        ? line.slice(baseIndent.length)
+        : line.trimStart()
+    })
+    .join('\n')
+
+  const wrapper = WRAPPERS[syntaxKey]?.(dedented) ?? {
+    source: `${dedented}\n`,
+    unwrap: (formatted) => formatted,
+  }
+
+  return {
+    source: wrapper.source,
+    getEdits(formatted) {
+      const indented = wrapper
+        .unwrap(formatted.replace(/\r\n/g, '\n'))
+        .replace(/\s+$/, '')
+        .split('\n')
+        .map((line, i) => (i === 0 || !line ? line : baseIndent + line))
+        .join(eol)
+      if (indented === code) return []
+      return [
+        {
+          start: codeStart,
+          end: end - tail.length,
+          text: indented,
+        },
+      ]
+    },
+  }
+}
+
+module.exports = { createFragment, supportsFragments, supportsRangeFormatting }
@@ -0,0 +1,146 @@
+/**
+ * git.js — Lines of a document changed since the last commit
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Asks git which lines of a document differ from HEAD, so only those need
+ * formatting. The document’s text is compared rather than the file on disk,
+ * which matters on save: the changes aren’t written yet.
+ */
+
+const { log, ProcessError } = require('./helpers.js')
+const { getTransferDirectory } = require('./transfer.js')
+
+// @@ -12,3 +12,4 @@ — the new side is what we’re after
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/gm
+
+/**
+ * Run a command and collect its output. It arrives line by line and is
+ * joined with line breaks, which is enough for hunk headers and errors.
+ *
+ * @param {string[]} args  – Command and arguments, looked up in PATH
+ * @param {string} cwd
+ * @returns {Promise<{ status: number, stdout: string, stderr: string }>}
+ */
+function run(args, cwd) {
+  return new Promise((resolve, reject) => {
+    const process = new Process('/usr/bin/env', { args, cwd })
+
+    const stdout = []
+    const stderr = []
+    process.onStdout((chunk) => stdout.push(chunk))
+    process.onStderr((chunk) => stderr.push(chunk))
+    process.onDidExit((status) =>
+      resolve({
+        status,
+        stdout: stdout.join('\n'),
+        stderr: stderr.join('\n'),
+      }),
+    )
+
+    try {
+      process.start()
+    } catch (err) {
+      reject(err)
+    }
+  })
+}
+
+/**
+ * @param {string} path
+ * @param {string} text
+ */
+function writeFile(path, text) {
+  const file = nova.fs.open(path, 'w')
+  try {
+    file.write(text)
+  } finally {
+    file.close()
+  }
+}
+
+/**
+ * @param {string} path
+ */
+function removeFile(path) {
+  try {
+    if (nova.fs.access(path, nova.fs.F_OK)) nova.fs.remove(path)
+  } catch (err) {
+    log.warn(`Unable to remove ${path}`, err)
+  }
+}
+
+/**
+ * Lines of a document that differ from its version in HEAD.
+ *
+ * @param {string} path  – Local path of the document
+ * @param {string} text  – Current text of the document
+ * @returns {Promise<Array<[number, number]>|null>}
+ *   Changed lines as 1-based inclusive `[first, last]` ranges of `text`, in
+ *   ascending order; null if the document isn’t in a git repository or not
+ *   committed yet
+ * @throws {ProcessError} If git fails
+ */
+async function getModifiedLines(path, text) {
+  const cwd = nova.path.dirname(path)
+  const directory = getTransferDirectory()
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`
+  const committedPath = nova.path.join(directory, `${id}.head`)
+  const currentPath = nova.path.join(directory, `${id}.current`)
+
+  try {
+    // 1) The committed version as it would be checked out, with line endings
+    //    and filters applied, written by git itself so it stays byte for
+    //    byte; fails outside a repository and for new files
+    const committed = await run(
+      [
+        'sh',
+        '-c',
+        'git cat-file --filters "HEAD:./$1" > "$2"',
+        'sh',
+        nova.path.basename(path),
+        committedPath,
+      ],
+      cwd,
+    )
+    if (committed.status !== 0) {
+      log.debug(`No committed version of ${path}: ${committed.stderr.trim()}`)
+      return null
+    }
+
+    // 2) Diff it against the current text without context lines
+    writeFile(currentPath, text)
+    const diff = await run(
+      [
+        'git',
+        'diff',
+        '--no-index',
+        '--no-color',
+        '--no-ext-diff',
+        '--no-textconv',
+        '-U0',
+        '--',
+        committedPath,
+        currentPath,
+      ],
+      cwd,
+    )
+    // --no-index exits with 1 if the files differ
+    if (diff.status > 1) throw new ProcessError(diff.status, diff.stderr)
+
+    // 3) Pure deletions leave nothing to format
+    const lines = []
+    for (const [, start, count = '1'] of diff.stdout.matchAll(HUNK_HEADER)) {
+      if (Number(count) === 0) continue
+      lines.push([Number(start), Number(start) + Number(count) - 1])
+    }
+    return lines
+  } finally {
+    removeFile(committedPath)
+    removeFile(currentPath)
+  }
+}
+
+module.exports = { getModifiedLines }
@@ -39,6 +39,16 @@ function getConfigWithWorkspaceOverride(name) {
   return workspaceConfig === null ? extensionConfig : workspaceConfig
 }
 
+/**
+ * Tell which scope `getConfigWithWorkspaceOverride` takes a value from.
+ *
+ * @param {string} name  Config key
+ * @returns {'workspace'|'extension'}
+ */
+function getConfigScope(name) {
+  return nova.workspace.config.get(name) === null ? 'extension' : 'workspace'
+}
+
 /**
  * Observe a config key in both workspace and extension, but only after
  * the initial “current value” notification.
@@ -268,6 +278,7 @@ module.exports = {
   debouncePromise,
   extractPath,
   getCliVersion,
+  getConfigScope,
   getConfigWithWorkspaceOverride,
   getNodeVersion,
   getNpmVersion,
@@ -21,13 +21,19 @@ const {
   sanitizePrettierConfig,
 } = require('./helpers.js')
 
-const { showNotification } = require('./notifications.js')
+const { showNotification, cancelNotification } = require('./notifications.js')
 const { Formatter } = require('./formatter.js')
+const { formatProject, renderSummary } = require('./project-formatter.js')
+const { renderReport } = require('./statistics.js')
+const { getIgnoreInsertions } = require('./prettier-ignore.js')
+const { supportsFragments, supportsRangeFormatting } = require('./fragment.js')
 
 class PrettierExtension {
   constructor() {
     this.didAddTextEditor = this.didAddTextEditor.bind(this)
+    this.didAddTextEditorForCheck = this.didAddTextEditorForCheck.bind(this)
     this.toggleFormatOnSave = this.toggleFormatOnSave.bind(this)
+    this.toggleCheckMode = this.toggleCheckMode.bind(this)
     this.modulePathDidChange = this.modulePathDidChange.bind(this)
     this.modulePreferBundledDidChange =
       this.modulePreferBundledDidChange.bind(this)
@@ -36,16 +42,33 @@ class PrettierExtension {
     this.prettierConfigFileDidChange =
       this.prettierConfigFileDidChange.bind(this)
     this.npmPackageFileDidChange = this.npmPackageFileDidChange.bind(this)
+    this.packageJsonDidChange = this.packageJsonDidChange.bind(this)
     this.handleCustomConfigPathChange =
       this.handleCustomConfigPathChange.bind(this)
     this.editorWillSave = this.editorWillSave.bind(this)
+    this.editorDidStopChanging = this.editorDidStopChanging.bind(this)
     this.didInvokeFormatCommand = this.didInvokeFormatCommand.bind(this)
     this.didInvokeFormatSelectionCommand =
       this.didInvokeFormatSelectionCommand.bind(this)
     this.didInvokeFormatForcedCommand =
       this.didInvokeFormatForcedCommand.bind(this)
+    this.didInvokeFormatModifiedLinesCommand =
+      this.didInvokeFormatModifiedLinesCommand.bind(this)
     this.didInvokeSaveWithoutFormattingCommand =
       this.didInvokeSaveWithoutFormattingCommand.bind(this)
+    this.didInvokeCheckCommand = this.didInvokeCheckCommand.bind(this)
+    this.didInvokeShowEffectiveConfigCommand =
+      this.didInvokeShowEffectiveConfigCommand.bind(this)
+    this.didInvokeFormatProjectCommand =
+      this.didInvokeFormatProjectCommand.bind(this)
+    this.didInvokeFormatFolderCommand =
+      this.didInvokeFormatFolderCommand.bind(this)
+    this.didInvokeCancelFormatProjectCommand =
+      this.didInvokeCancelFormatProjectCommand.bind(this)
+    this.didInvokeShowPerformanceReportCommand =
+      this.didInvokeShowPerformanceReportCommand.bind(this)
+    this.didInvokeWrapInPrettierIgnoreCommand =
+      this.didInvokeWrapInPrettierIgnoreCommand.bind(this)
 
     this.ignoredEditors = new Set()
     this.issueCollection = new IssueCollection()
@@ -55,9 +78,21 @@ class PrettierExtension {
     this.commandDisposables = []
     this.configDisposables = []
     this.saveListeners = new Map()
+    this.checkListeners = new Map()
+
+    // whether a document was formatted when opened or last saved, by URI
+    /** @type {Map<string, Promise<boolean|null>>} */
+    this.formattedStates = new Map()
 
     this.customConfigWatcher = null
 
+    // last seen `prettier` key per package.json path
+    this.packageJsonPrettierKeys = new Map()
+
+    // bulk formatting state
+    this.isFormattingProject = false
+    this.formatProjectCancelled = false
+
     // debouncers
     this.debouncedProjectPrettierModulePathDidChange = debouncePromise(
       this.modulePathDidChange,
@@ -67,8 +102,8 @@ class PrettierExtension {
       this.modulePathDidChange,
       5000,
     )
-    this.debouncedReloadPrettierOnConfigChange = debouncePromise(
-      () => this.reloadPrettierConfig(),
+    this.debouncedInvalidateCacheOnConfigChange = debouncePromise(
+      () => this.formatter.invalidateCache(),
       2000,
     )
     this.debouncedModulePathOrPreferBundledDidChangeFast = debouncePromise(
@@ -96,9 +131,13 @@ class PrettierExtension {
     return getConfigWithWorkspaceOverride('prettier.config.file')
   }
 
+  get checkMode() {
+    return getConfigWithWorkspaceOverride('prettier.check.mode')
+  }
+
   /**
    * Watch the user’s external config-file (prettier.config.file),
-   * tear down any old watcher, set up a new one, then trigger a restart.
+   * tear down any old watcher, set up a new one, then drop the service caches.
    */
   handleCustomConfigPathChange() {
     if (this.customConfigWatcher) {
@@ -125,9 +164,9 @@ class PrettierExtension {
       }
     }
 
-    // only schedule reloads once we've fully started
+    // only schedule invalidations once we've fully started
     if (this.hasStarted) {
-      this.debouncedReloadPrettierOnConfigChange()
+      this.debouncedInvalidateCacheOnConfigChange()
     }
   }
 
@@ -150,7 +189,16 @@ class PrettierExtension {
         'prettier.module.preferBundled',
         this.modulePreferBundledDidChange,
       ),
-      // restart when the user changes the external config-file path
+      // the service reads its worker settings on start, so restart it
+      ...observeConfigWithWorkspaceOverride(
+        'prettier.service.workers',
+        this.debouncedModulePathOrPreferBundledDidChangeFast,
+      ),
+      ...observeConfigWithWorkspaceOverride(
+        'prettier.service.job-timeout',
+        this.debouncedModulePathOrPreferBundledDidChangeFast,
+      ),
+      // re-watch when the user changes the external config-file path
       ...observeConfigWithWorkspaceOverride(
         'prettier.config.file',
         this.handleCustomConfigPathChange,
@@ -159,6 +207,8 @@ class PrettierExtension {
 
     observeEmptyArrayCleanup(
       [
+        'prettier.parser.overrides',
+        'prettier.plugins.custom',
         'prettier.plugins.prettier-plugin-tailwind.tailwindAttributes',
         'prettier.plugins.prettier-plugin-tailwind.tailwindFunctions',
         'prettier.plugins.prettier-plugin-twig.twigTestExpressions',
@@ -205,6 +255,7 @@ class PrettierExtension {
         '**/prettier.config.cts',
         '**/prettier.config.mts',
         '**/.prettierignore',
+        '**/.editorconfig',
       ]
 
       for (const pattern of configFilesToWatch) {
@@ -225,6 +276,11 @@ class PrettierExtension {
         this.fsWatchers.push(watcher)
       }
 
+      // package.json may carry a `prettier` key with the project’s config
+      this.fsWatchers.push(
+        nova.fs.watch('**/package.json', this.packageJsonDidChange),
+      )
+
       const nodeModulesWatcher = nova.fs.watch(
         'node_modules/prettier/**',
         this.moduleProjectPrettierDidChange,
@@ -236,6 +292,9 @@ class PrettierExtension {
     this.didAddTextEditorDisposable = nova.workspace.onDidAddTextEditor(
       this.didAddTextEditor,
     )
+    this.didAddTextEditorForCheckDisposable = nova.workspace.onDidAddTextEditor(
+      this.didAddTextEditorForCheck,
+    )
 
     // 3) Commands
     this.commandDisposables = [
@@ -251,16 +310,53 @@ class PrettierExtension {
         this.didInvokeFormatForcedCommand,
       ),
 
+      nova.commands.register(
+        'prettier.format-modified-lines',
+        this.didInvokeFormatModifiedLinesCommand,
+      ),
+
       nova.commands.register(
         'prettier.save-without-formatting',
         this.didInvokeSaveWithoutFormattingCommand,
       ),
 
+      nova.commands.register('prettier.check', this.didInvokeCheckCommand),
+
+      nova.commands.register(
+        'prettier.show-effective-config',
+        this.didInvokeShowEffectiveConfigCommand,
+      ),
+
+      nova.commands.register(
+        'prettier.wrap-in-prettier-ignore',
+        this.didInvokeWrapInPrettierIgnoreCommand,
+      ),
+
+      nova.commands.register(
+        'prettier.format-project',
+        this.didInvokeFormatProjectCommand,
+      ),
+
+      nova.commands.register(
+        'prettier.format-folder',
+        this.didInvokeFormatFolderCommand,
+      ),
+
+      nova.commands.register(
+        'prettier.format-project.cancel',
+        this.didInvokeCancelFormatProjectCommand,
+      ),
+
       nova.commands.register(
         'prettier.restart-service',
         this.modulePathDidChange,
       ),
 
+      nova.commands.register(
+        'prettier.show-performance-report',
+        this.didInvokeShowPerformanceReportCommand,
+      ),
+
       nova.commands.register('prettier.reset-suppressed-message', () => {
         nova.config.remove('prettier.selection-unsupported.dismissed')
         nova.workspace.context.set(
@@ -288,12 +384,26 @@ class PrettierExtension {
 
       this.hasStarted = true
 
-      const disposables = observeConfigWithWorkspaceOverride(
-        'prettier.format-on-save',
-        this.toggleFormatOnSave,
-      )
+      const disposables = [
+        ...observeConfigWithWorkspaceOverride(
+          'prettier.format-on-save',
+          this.toggleFormatOnSave,
+        ),
+        ...observeConfigWithWorkspaceOverride(
+          'prettier.format-on-save.only-formatted-files',
+          this.toggleFormatOnSave,
+        ),
+      ]
       this.configDisposables.push(...disposables)
       this.toggleFormatOnSave()
+
+      this.configDisposables.push(
+        ...observeConfigWithWorkspaceOverride(
+          'prettier.check.mode',
+          this.toggleCheckMode,
+        ),
+      )
+      this.toggleCheckMode()
     })
   }
 
@@ -325,17 +435,66 @@ class PrettierExtension {
     }
   }
 
-  async reloadPrettierConfig() {
-    log.debug('Prettier config file changed — restarting Prettier…')
-    await this.formatter.stop()
-    await this.startFormatter()
+  /**
+   * (Re-)attach the check listeners according to `prettier.check.mode`:
+   * `open` checks each document once when it’s opened, `change` also
+   * re-checks it whenever the user stops typing.
+   */
+  toggleCheckMode() {
+    this.checkListeners.forEach((listener) => listener.dispose())
+    this.checkListeners.clear()
+
+    nova.workspace.textEditors.forEach(this.didAddTextEditorForCheck)
+  }
+
+  /**
+   * A config, ignore or .editorconfig file changed: drop the cached results for
+   * the directory tree it applies to, instead of restarting the service.
+   *
+   * @param {string} [path] – the changed file, as reported by `nova.fs.watch`
+   */
+  async prettierConfigFileDidChange(path) {
+    // .prettierignore still applies when config files are ignored
+    const isIgnoreFile =
+      !!path && nova.path.basename(path) === '.prettierignore'
+    if (!isIgnoreFile && this.configIgnore && !this.configFile) return
+
+    log.debug(`prettierConfigFileDidChange invoked for ${path}`)
+    await this.formatter.invalidateCache(path ? nova.path.dirname(path) : null)
   }
 
-  async prettierConfigFileDidChange() {
-    if (this.configIgnore && !this.configFile) return
+  /**
+   * Invalidate a package.json’s directory tree, but only if its `prettier`
+   * key changed — dependency edits shouldn’t throw away cached config.
+   *
+   * @param {string} path
+   */
+  async packageJsonDidChange(path) {
+    if (!path || (this.configIgnore && !this.configFile)) return
+
+    let prettierKey
+    try {
+      const file = nova.fs.open(path, 'r')
+      const json = JSON.parse(file.read())
+      file.close()
+      prettierKey = JSON.stringify(json.prettier ?? null)
+    } catch {
+      // deleted or half-written: assume the key changed
+      prettierKey = undefined
+    }
+
+    const previous = this.packageJsonPrettierKeys.get(path)
+    if (prettierKey !== undefined) {
+      this.packageJsonPrettierKeys.set(path, prettierKey)
+    } else {
+      this.packageJsonPrettierKeys.delete(path)
+    }
+
+    // Unknown previous value: it may have had a key, so invalidate anyway
+    if (previous !== undefined && previous === prettierKey) return
 
-    log.debug('prettierConfigFileDidChange invoked')
-    this.debouncedReloadPrettierOnConfigChange()
+    log.debug(`prettier key in ${path} may have changed`)
+    await this.formatter.invalidateCache(nova.path.dirname(path))
   }
 
   async npmPackageFileDidChange() {
@@ -424,12 +583,111 @@ class PrettierExtension {
   didAddTextEditor(editor) {
     if (!this.enabled) return
 
+    if (this.onlyFormattedFiles) {
+      if (!this.formattedStates.has(editor.document.uri)) {
+        this._rememberFormattedState(editor)
+      }
+    } else {
+      this.formattedStates.clear()
+    }
+
     if (this.saveListeners.has(editor)) return
-    this.saveListeners.set(editor, editor.onWillSave(this.editorWillSave))
+    const listener = new CompositeDisposable()
+    listener.add(editor.onWillSave(this.editorWillSave))
+    listener.add(
+      editor.onDidSave(() => {
+        if (this.onlyFormattedFiles) this._rememberFormattedState(editor)
+      }),
+    )
+    // Reopening asks again; the file may have changed in the meantime
+    listener.add(
+      editor.onDidDestroy(() => {
+        const uri = editor.document.uri
+        const stillOpen = nova.workspace.textEditors.some(
+          (other) => other !== editor && other.document.uri === uri,
+        )
+        if (!stillOpen) this.formattedStates.delete(uri)
+        listener.dispose()
+        this.saveListeners.delete(editor)
+      }),
+    )
+    this.saveListeners.set(editor, listener)
+  }
+
+  get onlyFormattedFiles() {
+    return getConfigWithWorkspaceOverride(
+      'prettier.format-on-save.only-formatted-files',
+    )
+  }
+
+  /**
+   * Ask the service whether a document is formatted right now, for
+   * `editorWillSave` to decide later.
+   *
+   * @private
+   * @param {TextEditor} editor
+   */
+  _rememberFormattedState(editor) {
+    this.formattedStates.set(
+      editor.document.uri,
+      this.formatter.isFormatted(editor).catch((err) => {
+        log.error(err, err.stack)
+        return null
+      }),
+    )
+  }
+
+  didAddTextEditorForCheck(editor) {
+    const mode = this.checkMode
+    if (mode !== 'open' && mode !== 'change') return
+    if (this.checkListeners.has(editor)) return
+
+    const listener = new CompositeDisposable()
+    if (mode === 'change') {
+      listener.add(editor.onDidStopChanging(this.editorDidStopChanging))
+    }
+    listener.add(
+      editor.onDidDestroy(() => {
+        listener.dispose()
+        this.checkListeners.delete(editor)
+      }),
+    )
+    this.checkListeners.set(editor, listener)
+
+    this._checkEditor(editor, { background: true })
   }
 
   async editorWillSave(editor) {
-    await this._formatEditor(editor, { isSaving: true })
+    let modifiedOnly = getConfigWithWorkspaceOverride(
+      'prettier.format-on-save.modified-lines-only',
+    )
+
+    // Documents that weren’t formatted before stay as they are, apart from
+    // their modified lines if those are formatted
+    if (this.onlyFormattedFiles) {
+      const wasFormatted = await this.formattedStates.get(editor.document.uri)
+      if (wasFormatted === true) {
+        modifiedOnly = false
+      } else if (wasFormatted === false) {
+        if (!modifiedOnly) {
+          log.info(
+            `${editor.document.path} wasn’t formatted when opened or last saved, not formatting it`,
+          )
+          return
+        }
+      } else {
+        // The check failed or never ran; better format than silently not
+        log.info(
+          `Unknown whether ${editor.document.path} was formatted when opened or last saved, formatting it`,
+        )
+      }
+    }
+
+    await this._formatEditor(editor, { isSaving: true, modifiedOnly })
+  }
+
+  async editorDidStopChanging(editor) {
+    await this._checkEditor(editor, { background: true })
   }
 
   async didInvokeFormatCommand(editor) {
@@ -440,22 +698,17 @@ class PrettierExtension {
     await this._formatEditor(editor, { forced: true })
   }
 
+  async didInvokeFormatModifiedLinesCommand(editor) {
+    await this._formatEditor(editor, { modifiedOnly: true })
+  }
+
   async didInvokeFormatSelectionCommand(editor) {
     // 1) Ask the formatter what the real syntax key is
     const syntaxKey = this.formatter.getSyntaxKey(editor)
 
-    // 2) Which keys we support selection for:
-    const supported = new Set([
-      'javascript',
-      'jsx',
-      'typescript',
-      'tsx',
-      'graphql',
-      'handlebars',
-    ])
-
-    // 3) Bail out if this syntax isn’t in our set
-    if (!supported.has(syntaxKey)) {
+    // 2) Bail out if Prettier can’t format a range of this syntax and the
+    //    selection can’t be formatted on its own either
+    if (!supportsRangeFormatting(syntaxKey) && !supportsFragments(syntaxKey)) {
       const suppressionKey = 'prettier.selection-unsupported.dismissed'
       const dismissed = nova.config.get(suppressionKey)
       if (dismissed === true) return
@@ -468,7 +721,7 @@ class PrettierExtension {
       )
       req.body = nova.localize(
         'prettier.notification.unsupportedSyntax.body',
-        '“Format Selection” isn’t available for this file type. Supported syntaxes: JavaScript, TypeScript, GraphQL, and Handlebars.\n\nClicking “Dismiss” will disable the command for unsupported syntaxes.',
+        '“Format Selection” isn’t available for this file type. Supported syntaxes: JavaScript, TypeScript, GraphQL, Handlebars, CSS, SCSS, Less, JSON, YAML, Markdown, MDX, HTML, PHP, and SQL.\n\nClicking “Dismiss” will disable the command for unsupported syntaxes.',
         'notification',
       )
       req.actions = [
@@ -505,6 +758,115 @@ class PrettierExtension {
     editor.save().finally(() => this.ignoredEditors.delete(editor))
   }
 
+  async didInvokeCheckCommand(editor) {
+    await this._checkEditor(editor)
+  }
+
+  async didInvokeShowEffectiveConfigCommand(editor) {
+    try {
+      const report = await this.formatter.explainConfig(editor)
+      if (!report) {
+        log.info(`No syntax detected for ${editor.document.path}`)
+        return
+      }
+
+      nova.workspace.openNewTextDocument({
+        content: JSON.stringify(report, null, 2) + '\n',
+        syntax: 'json',
+      })
+    } catch (err) {
+      log.error(err, err.stack)
+      await showNotification({
+        id: 'prettier-show-effective-config-error',
+        title: nova.localize(
+          'prettier.notification.show-effective-config-error.title',
+          'Error While Resolving Config',
+          'notification',
+        ),
+        body:
+          `"${err.message}"` +
+          nova.localize(
+            'prettier.notification.format-error.body',
+            '\n\nSee the Extension Console for more info.',
+            'notification',
+          ),
+      })
+    }
+  }
+
+  async didInvokeWrapInPrettierIgnoreCommand(editor) {
+    const { document, selectedRange } = editor
+    const insertions = getIgnoreInsertions(
+      this.formatter.getSyntaxKey(editor),
+      editor.getTextInRange(new Range(0, document.length)),
+      selectedRange,
+      document.eol,
+    )
+
+    if (!insertions) {
+      await showNotification({
+        id: 'prettier-ignore-unsupported',
+        title: nova.localize(
+          'prettier.notification.ignoreUnsupported.title',
+          'No Ignore Comment',
+          'notification',
+        ),
+        body: nova.localize(
+          'prettier.notification.ignoreUnsupported.body',
+          'Prettier can’t be told to ignore parts of this file type. Add it to .prettierignore to leave the whole file alone.',
+          'notification',
+        ),
+      })
+      return
+    }
+
+    // Back to front, so earlier offsets stay valid
+    await editor.edit((edit) => {
+      for (const { offset, text } of [...insertions].reverse()) {
+        edit.insert(offset, text)
+      }
+    })
+  }
+
+  async didInvokeFormatProjectCommand() {
+    if (!nova.workspace.path) return
+    await this._formatFolder(nova.workspace.path)
+  }
+
+  didInvokeFormatFolderCommand() {
+    nova.workspace.showFileChooser(
+      nova.localize(
+        'prettier.format-folder.chooser.message',
+        'Choose a folder to format with Prettier⁺.',
+      ),
+      {
+        prompt: nova.localize(
+          'prettier.format-folder.chooser.prompt',
+          'Format',
+        ),
+        allowFiles: false,
+        allowFolders: true,
+        allowMultiple: false,
+      },
+      (paths) => {
+        if (paths && paths.length > 0) this._formatFolder(paths[0])
+      },
+    )
+  }
+
+  didInvokeShowPerformanceReportCommand() {
+    nova.workspace.openNewTextDocument({
+      content: renderReport(nova.workspace.path),
+      syntax: 'markdown',
+    })
+  }
+
+  didInvokeCancelFormatProjectCommand() {
+    if (!this.isFormattingProject) return
+    log.info('Cancelling project formatting…')
+    this.formatProjectCancelled = true
+  }
+
   /**
    * Format an editor, with optional modes.
    *
@@ -513,6 +875,7 @@ class PrettierExtension {
    * @param {Object} opts
    * @param {boolean} [opts.isSaving=false]      — invoked via the will-save hook
    * @param {boolean} [opts.selectionOnly=false] — format only the selected range
+   * @param {boolean} [opts.modifiedOnly=false]  — format only the lines changed since the last commit
    * @param {boolean} [opts.forced=false]        — ignore user opts and always format
    *                                               cannot be combined with `isSaving` or `selectionOnly`
    *
@@ -522,7 +885,12 @@ class PrettierExtension {
 
   async _formatEditor(
     editor,
-    { isSaving = false, selectionOnly = false, forced = false } = {},
+    {
+      isSaving = false,
+      selectionOnly = false,
+      modifiedOnly = false,
+      forced = false,
+    } = {},
   ) {
     if (forced && (isSaving || selectionOnly)) {
       throw new Error(
@@ -536,9 +904,18 @@ class PrettierExtension {
       const ready = await this.formatter.isReady
       if (!ready) return
 
-      const issues = forced
-        ? await this.formatter.formatEditorForced(editor)
-        : await this.formatter.formatEditor(editor, isSaving, selectionOnly)
+      let issues
+      if (forced) {
+        issues = await this.formatter.formatEditorForced(editor)
+      } else if (modifiedOnly && !selectionOnly) {
+        issues = await this.formatter.formatModifiedLines(editor, isSaving)
+      } else {
+        issues = await this.formatter.formatEditor(
+          editor,
+          isSaving,
+          selectionOnly,
+        )
+      }
 
       this.issueCollection.set(editor.document.uri, issues)
     } catch (err) {
@@ -561,6 +938,161 @@ class PrettierExtension {
     }
   }
 
+  /**
+   * Check an editor without modifying it and report the result as issues.
+   *
+   * @private
+   * @param {TextEditor} editor
+   * @param {Object} opts
+   * @param {boolean} [opts.background=false] — invoked by the check-on-open/change
+   *                                            mode; errors are only logged
+   */
+  async _checkEditor(editor, { background = false } = {}) {
+    try {
+      const ready = await this.formatter.isReady
+      if (!ready) return
+
+      const issues = await this.formatter.checkEditor(editor, background)
+
+      this.issueCollection.set(editor.document.uri, issues)
+    } catch (err) {
+      log.error(err, err.stack)
+      if (background) return
+
+      await showNotification({
+        id: 'prettier-check-error',
+        title: nova.localize(
+          'prettier.notification.check-error.title',
+          'Error While Checking',
+          'notification',
+        ),
+        body:
+          `"${err.message}"` +
+          nova.localize(
+            'prettier.notification.format-error.body',
+            '\n\nSee the Extension Console for more info.',
+            'notification',
+          ),
+      })
+    }
+  }
+
+  /**
+   * Format every supported file in a folder, reporting progress and a summary.
+   *
+   * @private
+   * @param {string} directory
+   */
+  async _formatFolder(directory) {
+    if (this.isFormattingProject) return
+
+    const ready = await this.formatter.isReady
+    if (!ready) return
+
+    this.isFormattingProject = true
+    this.formatProjectCancelled = false
+    nova.workspace.context.set('prettier.isFormattingProject', true)
+
+    // Notifications can’t be updated in place, so re-post at most once a second
+    let lastProgressAt = 0
+    const onProgress = (done, total) => {
+      const now = Date.now()
+      if (done === total || (done > 0 && now - lastProgressAt < 1000)) return
+      lastProgressAt = now
+
+      showNotification({
+        id: 'prettier-format-project-progress',
+        title: nova.localize(
+          'prettier.notification.format-project.progress.title',
+          'Formatting Files…',
+          'notification',
+        ),
+        body: `${done} / ${total}`,
+        actions: [
+          nova.localize(
+            'prettier.notification.actions.cancel',
+            'Cancel',
+            'notification',
+          ),
+        ],
+        callback: (responseIdx) => {
+          if (responseIdx === 0) this.didInvokeCancelFormatProjectCommand()
+        },
+      })
+    }
+
+    try {
+      const summary = await formatProject(this.formatter, directory, {
+        isCancelled: () => this.formatProjectCancelled,
+        onProgress,
+      })
+
+      cancelNotification('prettier-format-project-progress')
+
+      await showNotification({
+        id: 'prettier-format-project-summary',
+        title: summary.cancelled
+          ? nova.localize(
+              'prettier.notification.format-project.cancelled.title',
+              'Formatting Cancelled',
+              'notification',
+            )
+          : nova.localize(
+              'prettier.notification.format-project.finished.title',
+              'Formatting Finished',
+              'notification',
+            ),
+        body: [
+          `${nova.localize('prettier.notification.format-project.changed', 'Changed', 'notification')}: ${summary.changed.length}`,
+          `${nova.localize('prettier.notification.format-project.unchanged', 'Unchanged', 'notification')}: ${summary.unchanged.length}`,
+          `${nova.localize('prettier.notification.format-project.errored', 'Errors', 'notification')}: ${summary.errored.length}`,
+          `${nova.localize('prettier.notification.format-project.ignored', 'Ignored', 'notification')}: ${summary.ignored.length}`,
+        ].join('\n'),
+        actions: [
+          nova.localize(
+            'prettier.notification.format-project.action.details',
+            'Show Details',
+            'notification',
+          ),
+          nova.localize(
+            'prettier.notification.actions.ok',
+            'OK',
+            'notification',
+          ),
+        ],
+        callback: (responseIdx) => {
+          if (responseIdx === 0) {
+            nova.workspace.openNewTextDocument({
+              content: renderSummary(summary, directory),
+              syntax: 'markdown',
+            })
+          }
+        },
+      })
+    } catch (err) {
+      cancelNotification('prettier-format-project-progress')
+      log.error(err, err.stack)
+      await showNotification({
+        id: 'prettier-format-error',
+        title: nova.localize(
+          'prettier.notification.format-error.title',
+          'Error While Formatting',
+          'notification',
+        ),
+        body:
+          `"${err.message}"` +
+          nova.localize(
+            'prettier.notification.format-error.body',
+            '\n\nSee the Extension Console for more info.',
+            'notification',
+          ),
+      })
+    } finally {
+      this.isFormattingProject = false
+      nova.workspace.context.set('prettier.isFormattingProject', false)
+    }
+  }
+
   dispose() {
     // 1) stop the Prettier subprocess
     this.formatter.stop()
@@ -580,6 +1112,8 @@ class PrettierExtension {
     // 4) dispose the workspace.textEditor listener
     this.didAddTextEditorDisposable.dispose()
     this.didAddTextEditorDisposable = null
+    this.didAddTextEditorForCheckDisposable.dispose()
+    this.didAddTextEditorForCheckDisposable = null
 
     // 5) dispose all save‑listeners
     for (const listener of this.saveListeners.values()) {
@@ -587,10 +1121,17 @@ class PrettierExtension {
     }
     this.saveListeners.clear()
 
+    for (const listener of this.checkListeners.values()) {
+      listener.dispose()
+    }
+    this.checkListeners.clear()
+
+    this.formatProjectCancelled = true
+
     // 6) clear debounce timers
     this.debouncedProjectPrettierModulePathDidChange.cancel()
     this.debouncedNpmPackageFileDidChange.cancel()
-    this.debouncedReloadPrettierOnConfigChange.cancel()
+    this.debouncedInvalidateCacheOnConfigChange.cancel()
     this.debouncedModulePathOrPreferBundledDidChangeFast.cancel()
 
     // 7) tear down config observers
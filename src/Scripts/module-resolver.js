@@ -266,3 +266,6 @@ module.exports = async function () {
     log.warn('Error trying to find or install bundled Prettier', err)
   }
 }
+
+module.exports.findModuleWithFileSystem = findModuleWithFileSystem
+module.exports.findPathRecursively = findPathRecursively
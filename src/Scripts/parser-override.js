@@ -0,0 +1,192 @@
+/**
+ * parser-override.js — Parser selection for framework templates
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Prettier formats every .html file with the `html` parser, which breaks
+ * Angular control flow (`@if`, `@for`) and the unquoted attribute bindings of
+ * Lightning Web Components. Templates of those projects are recognized by
+ * their layout instead: `*.component.html` in a workspace with angular.json
+ * gets `angular`, HTML below an `lwc` folder of an SFDX project
+ * (sfdx-project.json) gets `lwc`. Globs in `prettier.parser.overrides` pick
+ * the parser for anything else and take precedence.
+ */
+
+const {
+  getConfigScope,
+  getConfigWithWorkspaceOverride,
+  log,
+} = require('./helpers.js')
+const { findPathRecursively } = require('./module-resolver.js')
+
+/**
+ * @typedef {Object} ParserOverride
+ * @property {string} parser
+ * @property {object} source  – Where it came from, see `explainConfig`
+ */
+
+/**
+ * Convert a glob to a regular expression. `**` matches across folders, `*`
+ * and `?` within one, `{a,b}` either alternative.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let pattern = ''
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i]
+    if (c === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no folder at all
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?'
+        i += 2
+      } else {
+        pattern += '.*'
+        i++
+      }
+    } else if (c === '*') {
+      pattern += '[^/]*'
+    } else if (c === '?') {
+      pattern += '[^/]'
+    } else if (c === '{') {
+      pattern += '(?:'
+    } else if (c === '}') {
+      pattern += ')'
+    } else if (c === ',') {
+      pattern += '|'
+    } else {
+      pattern += c.replace(/[.+^$()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${pattern}$`)
+}
+
+/**
+ * Parse one line of `prettier.parser.overrides`: a glob, a colon, then the
+ * parser name.
+ *
+ * @param {string} line  – e.g. `src/app/**\/*.html: angular`
+ * @returns {{ glob: string, parser: string }|null}
+ */
+function parseOverride(line) {
+  const separator = line.lastIndexOf(':')
+  if (separator === -1) return null
+  const glob = line.slice(0, separator).trim()
+  const parser = line.slice(separator + 1).trim()
+  if (!glob || !parser) return null
+  return { glob, parser }
+}
+
+/**
+ * The parser of the first glob in `prettier.parser.overrides` matching a
+ * path. Globs containing a slash match the path relative to the workspace,
+ * others the file name.
+ *
+ * @param {string} path
+ * @returns {ParserOverride|null}
+ */
+function findSettingOverride(path) {
+  const lines =
+    getConfigWithWorkspaceOverride('prettier.parser.overrides') ?? []
+
+  const workspace = nova.workspace.path
+  const relative =
+    workspace && path.startsWith(workspace + '/')
+      ? path.slice(workspace.length + 1)
+      : path
+  const basename = nova.path.basename(path)
+
+  for (const line of lines) {
+    const override = parseOverride(line)
+    if (!override) {
+      log.warn(`Ignoring parser override "${line}", expected "glob: parser"`)
+      continue
+    }
+
+    const { glob, parser } = override
+    const subject = glob.includes('/') ? relative : basename
+    if (globToRegExp(glob.replace(/^\//, '')).test(subject)) {
+      return {
+        parser,
+        source: {
+          source: 'Parser overrides',
+          scope: getConfigScope('prettier.parser.overrides'),
+          setting: 'prettier.parser.overrides',
+          pattern: glob,
+        },
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * The nearest file with a name in a folder or one of its parents.
+ *
+ * @param {string} directory
+ * @param {string} name
+ * @returns {string|null}
+ */
+function findProjectFile(directory, name) {
+  const result = findPathRecursively(directory, name, (_, stats) =>
+    stats.isFile(),
+  )
+  return result?.path ?? null
+}
+
+/**
+ * The parser a framework needs for an HTML template, if any.
+ *
+ * @param {string} path
+ * @returns {ParserOverride|null}
+ */
+function findProjectOverride(path) {
+  const directory = nova.path.dirname(path)
+
+  if (path.endsWith('.component.html')) {
+    const angularJson = findProjectFile(directory, 'angular.json')
+    if (angularJson) {
+      return {
+        parser: 'angular',
+        source: { source: 'Angular project', path: angularJson },
+      }
+    }
+  }
+
+  if (`${directory}/`.includes('/lwc/')) {
+    const sfdxProject = findProjectFile(directory, 'sfdx-project.json')
+    if (sfdxProject) {
+      return {
+        parser: 'lwc',
+        source: { source: 'Salesforce DX project', path: sfdxProject },
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * The parser to use for a document instead of the one of its syntax.
+ *
+ * @param {TextDocument} document
+ * @param {string} syntaxKey
+ * @returns {ParserOverride|null}  null to use the parser of the syntax
+ */
+function getParserOverride(document, syntaxKey) {
+  const path = document.path
+  if (!path) return null
+
+  const override = findSettingOverride(path)
+  if (override) return override
+
+  // Project files of remote documents can’t be looked up
+  if (syntaxKey !== 'html' || document.isRemote) return null
+  return findProjectOverride(path)
+}
+
+module.exports = { getParserOverride }
@@ -19,6 +19,7 @@ const {
   PRETTIER_PROPERTIES_PLUGIN_OPTIONS,
   PRETTIER_SQL_PLUGIN_NODE_SQL_PARSER_OPTIONS,
   PRETTIER_SQL_PLUGIN_SQL_FORMATTER_OPTIONS,
+  PRETTIER_SVELTE_PLUGIN_OPTIONS,
   PRETTIER_TAILWIND_PLUGIN_OPTIONS,
   PRETTIER_TOML_PLUGIN_OPTIONS,
   PRETTIER_TWIG_PLUGIN_OPTIONS,
@@ -101,6 +102,13 @@ function getSqlFormatterConfig() {
   )
 }
 
+function getSvelteConfig() {
+  return loadPluginConfig(
+    PRETTIER_SVELTE_PLUGIN_OPTIONS,
+    'prettier.plugins.prettier-plugin-svelte',
+  )
+}
+
 function getTailwindConfig() {
   return loadPluginConfig(
     PRETTIER_TAILWIND_PLUGIN_OPTIONS,
@@ -139,6 +147,7 @@ module.exports = {
   getPhpConfig,
   getPropertiesConfig,
   getSqlFormatterConfig,
+  getSvelteConfig,
   getTailwindConfig,
   getTomlConfig,
   getTwigConfig,
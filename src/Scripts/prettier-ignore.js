@@ -0,0 +1,217 @@
+/**
+ * prettier-ignore.js — Ignore comments for the syntaxes of Prettier⁺
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Knows which comment makes Prettier (or the plugin formatting a syntax)
+ * leave the next node alone, and where to put it so it protects the
+ * selection or the node on the cursor’s line. Syntaxes that support range
+ * ignores get a start and an end comment around a selection instead.
+ */
+
+/**
+ * @typedef {Object} IgnoreComments
+ * @property {string} comment      Ignores the node that follows it
+ * @property {[string, string]} [range]  Ignore everything in between
+ * @property {boolean} [blankLine]  Needs a blank line to the ignored content
+ */
+
+/** @type {IgnoreComments} */
+const SCRIPT = { comment: '// prettier-ignore' }
+/** @type {IgnoreComments} */
+const JSX = { comment: '{/* prettier-ignore */}' }
+/** @type {IgnoreComments} */
+const STYLE = { comment: '/* prettier-ignore */' }
+/** @type {IgnoreComments} */
+const HASH = { comment: '# prettier-ignore' }
+/** @type {IgnoreComments} */
+const MARKUP = { comment: '<!-- prettier-ignore -->' }
+
+// By syntax key. JSON has no comments and prettier-plugin-sql no ignore
+// comment, so neither is listed.
+const IGNORE_COMMENTS = {
+  astro: MARKUP,
+  blade: {
+    comment: '{{-- blade-formatter-disable-next-line --}}',
+    range: [
+      '{{-- blade-formatter-disable --}}',
+      '{{-- blade-formatter-enable --}}',
+    ],
+  },
+  css: STYLE,
+  flow: SCRIPT,
+  graphql: HASH,
+  handlebars: { comment: '{{! prettier-ignore }}' },
+  html: MARKUP,
+  'html+ejs': MARKUP,
+  'html+erb': MARKUP,
+  java: SCRIPT,
+  'java-properties': HASH,
+  javascript: SCRIPT,
+  jsx: SCRIPT,
+  less: STYLE,
+  'liquid-html': { comment: '{% # prettier-ignore %}' },
+  'liquid-md': { comment: '{% # prettier-ignore %}' },
+  markdown: {
+    comment: '<!-- prettier-ignore -->',
+    range: ['<!-- prettier-ignore-start -->', '<!-- prettier-ignore-end -->'],
+  },
+  // Prettier accepts HTML comments in MDX too, but MDX 2 doesn’t. A comment
+  // right above a paragraph becomes part of it, hence the blank lines.
+  mdx: {
+    ...JSX,
+    range: ['{/* prettier-ignore-start */}', '{/* prettier-ignore-end */}'],
+    blankLine: true,
+  },
+  nginx: HASH,
+  php: SCRIPT,
+  scss: STYLE,
+  svelte: MARKUP,
+  toml: HASH,
+  tsx: SCRIPT,
+  twig: { comment: '{# prettier-ignore #}' },
+  typescript: SCRIPT,
+  vue: MARKUP,
+  xml: MARKUP,
+  yaml: HASH,
+}
+
+// Syntaxes that embed scripts and styles in <script> and <style> elements
+const MARKUP_SYNTAXES = new Set([
+  'astro',
+  'html',
+  'html+ejs',
+  'html+erb',
+  'svelte',
+  'vue',
+])
+
+// Syntaxes where the next node may be a JSX child
+const JSX_SYNTAXES = new Set(['flow', 'javascript', 'jsx', 'tsx'])
+
+// An ignore comment already protects the next line
+const IGNORE_COMMENT = /prettier-ignore|blade-formatter-disable/
+
+/**
+ * The element (`script` or `style`) containing `offset`, if any.
+ *
+ * @param {string} text
+ * @param {number} offset
+ * @returns {'script'|'style'|null}
+ */
+function getEnclosingElement(text, offset) {
+  const before = text.slice(0, offset).toLowerCase()
+  let element = null
+  for (const match of before.matchAll(/<(script|style)\b[^>]*>/g)) {
+    element = match
+  }
+  if (!element) return null
+  const closed = before.includes(
+    `</${element[1]}`,
+    element.index + element[0].length,
+  )
+  return closed ? null : element[1]
+}
+
+/**
+ * Whether `offset` lies in the `---` frontmatter of an Astro component.
+ *
+ * @param {string} text
+ * @param {number} offset
+ * @returns {boolean}
+ */
+function isInFrontmatter(text, offset) {
+  const opening = text.match(/^---[ \t]*\r?\n/)
+  if (!opening) return false
+  const closing = text.slice(opening[0].length).search(/^---[ \t]*$/m)
+  return closing !== -1 && offset < opening[0].length + closing
+}
+
+/**
+ * Whether the line starting at `lineStart` is a child of a JSX element: it
+ * starts with a tag or an expression and the line before ends with a tag.
+ *
+ * @param {string} text
+ * @param {number} lineStart
+ * @returns {boolean}
+ */
+function isJsxChild(text, lineStart) {
+  if (!/^[ \t]*[<{]/.test(text.slice(lineStart))) return false
+  const previous = text.slice(0, lineStart).trimEnd()
+  return previous.endsWith('>') && !previous.endsWith('=>')
+}
+
+/**
+ * The ignore comments to use at the start of a line.
+ *
+ * @param {string} syntaxKey
+ * @param {string} text
+ * @param {number} lineStart
+ * @returns {IgnoreComments|null}  null if the syntax has no ignore comment
+ */
+function getIgnoreComments(syntaxKey, text, lineStart) {
+  if (MARKUP_SYNTAXES.has(syntaxKey)) {
+    if (syntaxKey === 'astro' && isInFrontmatter(text, lineStart)) {
+      return SCRIPT
+    }
+    const element = getEnclosingElement(text, lineStart)
+    if (element === 'script') return SCRIPT
+    if (element === 'style') return STYLE
+  }
+
+  if (JSX_SYNTAXES.has(syntaxKey) && isJsxChild(text, lineStart)) return JSX
+
+  return IGNORE_COMMENTS[syntaxKey] ?? null
+}
+
+/**
+ * Compute the insertions that make Prettier ignore a selection.
+ *
+ * The comment goes on its own line above the first selected line, indented
+ * like it, and so protects the node starting there. With a selection,
+ * syntaxes supporting range ignores get an end comment below the last
+ * selected line.
+ *
+ * @param {string} syntaxKey
+ * @param {string} text                           – The whole document
+ * @param {{ start: number, end: number }} range – The selection
+ * @param {string} [eol='\n']
+ * @returns {Array<{ offset: number, text: string }>|null}
+ *   Insertions in ascending order; empty if the selection is already
+ *   ignored, null if the syntax has no ignore comment
+ */
+function getIgnoreInsertions(syntaxKey, text, { start, end }, eol = '\n') {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1
+  const indent = text.slice(lineStart).match(/^[ \t]*/)[0]
+
+  const comments = getIgnoreComments(syntaxKey, text, lineStart)
+  if (!comments) return null
+
+  let previousLineStart = text.lastIndexOf('\n', lineStart - 2) + 1
+  if (comments.blankLine && !text.slice(previousLineStart, lineStart).trim()) {
+    previousLineStart = text.lastIndexOf('\n', previousLineStart - 2) + 1
+  }
+  const previousLine = text.slice(previousLineStart, lineStart)
+  if (lineStart > 0 && IGNORE_COMMENT.test(previousLine)) return []
+
+  const separator = comments.blankLine ? eol + eol : eol
+  if (end <= start || !comments.range) {
+    return [{ offset: lineStart, text: indent + comments.comment + separator }]
+  }
+
+  // A selection ending at the start of a line doesn’t include that line
+  const last = text[end - 1] === '\n' ? end - 1 : end
+  let lineEnd = text.indexOf('\n', last)
+  if (lineEnd === -1) lineEnd = text.length
+  if (text[lineEnd - 1] === '\r') lineEnd--
+
+  const [rangeStart, rangeEnd] = comments.range
+  return [
+    { offset: lineStart, text: indent + rangeStart + separator },
+    { offset: lineEnd, text: separator + indent + rangeEnd },
+  ]
+}
+
+module.exports = { getIgnoreInsertions }
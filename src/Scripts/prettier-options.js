@@ -111,6 +111,13 @@ module.exports = {
 
   PRETTIER_SQL_PLUGIN_NODE_SQL_PARSER_OPTIONS: ['database', 'type'],
 
+  PRETTIER_SVELTE_PLUGIN_OPTIONS: [
+    'svelteSortOrder',
+    'svelteBracketNewLine',
+    'svelteAllowShorthand',
+    'svelteIndentScriptAndStyle',
+  ],
+
   PRETTIER_TAILWIND_PLUGIN_OPTIONS: [
     'tailwindConfig',
     'tailwindStylesheet',
@@ -1,113 +1,400 @@
 /**
- * prettier-plugins.js — Plugin path registry for Prettier⁺
+ * prettier-plugins.js — Plugin registry for Prettier⁺
  *
  * @license MIT
  * @author Toni Förster
  * @copyright © 2025 Toni Förster
  *
- * Maps plugin identifiers to absolute paths for runtime injection into Prettier.
+ * Declares the bundled plugins: where each one lives, which syntaxes it is
+ * loaded for and in which order, and where its enable flag and options come
+ * from. Plugins the user lists in `prettier.plugins.custom` are added to the
+ * bundled ones of the syntaxes they name.
  */
 
+const { getConfigWithWorkspaceOverride, log } = require('./helpers.js')
+const {
+  getAstroConfig,
+  getBladeConfig,
+  getLiquidConfig,
+  getNginxConfig,
+  getNodeSqlParserConfig,
+  getPhpConfig,
+  getPropertiesConfig,
+  getSqlFormatterConfig,
+  getSvelteConfig,
+  getTailwindConfig,
+  getTomlConfig,
+  getTwigConfig,
+  getXmlConfig,
+} = require('./prettier-config.js')
+const {
+  getSqlDialectFromUriOrSyntax,
+  getSqlParserDialect,
+} = require('./sql.js')
+
+// Load order. prettier-plugin-tailwindcss must come after the plugins it
+// works with, prettier-plugin-ejs-tailwindcss after it.
+// See: https://github.com/tailwindlabs/prettier-plugin-tailwindcss#compatibility-with-other-prettier-plugins
+const ORDER = {
+  syntax: 0,
+  custom: 1,
+  tailwind: 2,
+  afterTailwind: 3,
+}
+
+/**
+ * @typedef {Object} PluginEntry
+ * @property {string} id              Registry identifier
+ * @property {string} path            Entry point of the plugin
+ * @property {string[]} [syntaxes]    Syntax keys the plugin is loaded for
+ * @property {string} [syntaxesKey]   Instead of `syntaxes`: config key prefix
+ *                                    of a flag per syntax key
+ * @property {number} order           Plugins are loaded in ascending order
+ * @property {string} [enabledKey]    Config key of the enable flag
+ * @property {string} [requires]      Loaded only along with this plugin
+ * @property {string} [unless]        Not loaded along with this plugin
+ * @property {(document: TextDocument) => PluginConfig|null} [getConfig]
+ *   Options from the plugin settings
+ */
+
+/**
+ * @typedef {Object} PluginConfig
+ * @property {object} config          Prettier options
+ * @property {string} configKeyBase   Config key prefix they were read from
+ */
+
+/**
+ * @param {...string} segments  – Path below the extension’s node_modules
+ * @returns {string}
+ */
+function bundledPath(...segments) {
+  return nova.path.join(nova.extension.path, 'node_modules', ...segments)
+}
+
+/**
+ * Option getter for plugins whose options don’t depend on the document.
+ *
+ * @param {() => object} load
+ * @param {string} configKeyBase
+ * @returns {() => PluginConfig}
+ */
+function fromSettings(load, configKeyBase) {
+  return () => ({ config: load(), configKeyBase })
+}
+
+/**
+ * Options for prettier-plugin-sql, with the dialect detected from the
+ * document if set to auto.
+ *
+ * @param {TextDocument} document
+ * @returns {PluginConfig|null}
+ */
+function getSqlPluginConfig(document) {
+  const sqlFormatter = getConfigWithWorkspaceOverride(
+    'prettier.plugins.prettier-plugin-sql.formatter',
+  )
+
+  if (sqlFormatter === 'sql-formatter') {
+    const config = getSqlFormatterConfig()
+
+    if (config.language === 'auto') {
+      config.language = getSqlDialectFromUriOrSyntax(
+        document.uri,
+        document.syntax,
+      )
+      log.debug(`Auto-detected SQL dialect: ${config.language}`)
+    }
+
+    return {
+      config,
+      configKeyBase: 'prettier.plugins.prettier-plugin-sql.sql-formatter',
+    }
+  }
+
+  if (sqlFormatter === 'node-sql-parser') {
+    const config = getNodeSqlParserConfig()
+
+    if (config.database === 'auto') {
+      config.database = getSqlParserDialect(document.uri, document.syntax)
+      log.debug(`Using node-sql-parser dialect: ${config.database}`)
+    }
+
+    return {
+      config,
+      configKeyBase: 'prettier.plugins.prettier-plugin-sql.node-sql-parser',
+    }
+  }
+
+  return null
+}
+
+/** @type {PluginEntry[]} */
+const BUNDLED_PLUGINS = [
+  {
+    id: 'astro',
+    path: bundledPath('prettier-plugin-astro', 'dist', 'index.js'),
+    syntaxes: ['astro'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-astro.enabled',
+    getConfig: fromSettings(
+      getAstroConfig,
+      'prettier.plugins.prettier-plugin-astro',
+    ),
+  },
+  {
+    id: 'blade',
+    path: bundledPath('@shufo', 'prettier-plugin-blade', 'dist', 'index.cjs'),
+    syntaxes: ['blade'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-blade.enabled',
+    getConfig: fromSettings(
+      getBladeConfig,
+      'prettier.plugins.prettier-plugin-blade',
+    ),
+  },
+  {
+    id: 'java',
+    path: bundledPath('prettier-plugin-java', 'dist', 'index.js'),
+    syntaxes: ['java'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-java.enabled',
+  },
+  {
+    id: 'properties',
+    path: bundledPath('prettier-plugin-properties', 'index.js'),
+    syntaxes: ['java-properties'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-properties.enabled',
+    getConfig: fromSettings(
+      getPropertiesConfig,
+      'prettier.plugins.prettier-plugin-properties',
+    ),
+  },
+  {
+    id: 'liquid',
+    path: bundledPath('@shopify', 'prettier-plugin-liquid', 'dist', 'index.js'),
+    syntaxes: ['liquid-html', 'liquid-md'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-liquid.enabled',
+    getConfig: fromSettings(
+      getLiquidConfig,
+      'prettier.plugins.prettier-plugin-liquid',
+    ),
+  },
+  {
+    id: 'nginx',
+    path: bundledPath('prettier-plugin-nginx', 'dist', 'index.js'),
+    syntaxes: ['nginx'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-nginx.enabled',
+    getConfig: fromSettings(
+      getNginxConfig,
+      'prettier.plugins.prettier-plugin-nginx',
+    ),
+  },
+  {
+    id: 'php',
+    path: bundledPath('@prettier', 'plugin-php', 'src', 'index.mjs'),
+    syntaxes: ['php'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-php.enabled',
+    getConfig: fromSettings(
+      getPhpConfig,
+      'prettier.plugins.prettier-plugin-php',
+    ),
+  },
+  {
+    id: 'sql',
+    path: bundledPath('prettier-plugin-sql', 'lib', 'index.js'),
+    syntaxes: ['sql'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-sql.enabled',
+    getConfig: getSqlPluginConfig,
+  },
+  {
+    id: 'svelte',
+    path: bundledPath('prettier-plugin-svelte', 'plugin.js'),
+    syntaxes: ['svelte'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-svelte.enabled',
+    getConfig: fromSettings(
+      getSvelteConfig,
+      'prettier.plugins.prettier-plugin-svelte',
+    ),
+  },
+  {
+    id: 'toml',
+    path: bundledPath('prettier-plugin-toml', 'lib', 'index.js'),
+    syntaxes: ['toml'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-toml.enabled',
+    getConfig: fromSettings(
+      getTomlConfig,
+      'prettier.plugins.prettier-plugin-toml',
+    ),
+  },
+  {
+    id: 'twig',
+    path: bundledPath('@zackad', 'prettier-plugin-twig', 'src', 'index.js'),
+    syntaxes: ['twig'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-twig.enabled',
+    getConfig: fromSettings(
+      getTwigConfig,
+      'prettier.plugins.prettier-plugin-twig',
+    ),
+  },
+  {
+    id: 'xml',
+    path: bundledPath('@prettier', 'plugin-xml', 'src', 'plugin.js'),
+    syntaxes: ['xml'],
+    order: ORDER.syntax,
+    enabledKey: 'prettier.plugins.prettier-plugin-xml.enabled',
+    getConfig: fromSettings(
+      getXmlConfig,
+      'prettier.plugins.prettier-plugin-xml',
+    ),
+  },
+  {
+    id: 'tailwind',
+    path: bundledPath('prettier-plugin-tailwindcss', 'dist', 'index.mjs'),
+    syntaxesKey: 'prettier.plugins.prettier-plugin-tailwind.syntaxes',
+    order: ORDER.tailwind,
+    enabledKey: 'prettier.plugins.prettier-plugin-tailwind.enabled',
+    getConfig: fromSettings(
+      getTailwindConfig,
+      'prettier.plugins.prettier-plugin-tailwind',
+    ),
+  },
+  {
+    id: 'ejsTailwind',
+    path: bundledPath('prettier-plugin-ejs-tailwindcss', 'dist', 'index.cjs'),
+    syntaxes: ['html', 'html+ejs'],
+    order: ORDER.afterTailwind,
+    enabledKey: 'prettier.plugins.prettier-plugin-ejs-tailwindcss.enabled',
+    requires: 'tailwind',
+  },
+  {
+    id: 'ejs',
+    path: bundledPath('prettier-plugin-ejs', 'index.js'),
+    syntaxes: ['html', 'html+ejs'],
+    order: ORDER.afterTailwind,
+    enabledKey: 'prettier.plugins.prettier-plugin-ejs.enabled',
+    unless: 'ejsTailwind',
+  },
+]
+
+/**
+ * The bundled plugin with an identifier.
+ *
+ * @param {string} id
+ * @returns {PluginEntry|undefined}
+ */
+function getBundledPlugin(id) {
+  return BUNDLED_PLUGINS.find((entry) => entry.id === id)
+}
+
+/**
+ * Whether a plugin is meant for a syntax and enabled.
+ *
+ * @param {PluginEntry} entry
+ * @param {string} syntaxKey
+ * @returns {boolean}
+ */
+function isEnabledFor(entry, syntaxKey) {
+  const forSyntax = entry.syntaxesKey
+    ? getConfigWithWorkspaceOverride(`${entry.syntaxesKey}.${syntaxKey}`)
+    : entry.syntaxes.includes(syntaxKey)
+  if (!forSyntax) return false
+  return (
+    !entry.enabledKey ||
+    Boolean(getConfigWithWorkspaceOverride(entry.enabledKey))
+  )
+}
+
+/**
+ * Parse one line of `prettier.plugins.custom`: syntax keys separated by
+ * commas (or `*` for all), a colon, then a plugin path or package name.
+ *
+ * @param {string} line  – e.g. `typescript, tsx: prettier-plugin-organize-imports`
+ * @returns {{ syntaxes: string[], plugin: string }|null}
+ */
+function parseCustomPlugin(line) {
+  const separator = line.indexOf(':')
+  if (separator === -1) return null
+  const syntaxes = line
+    .slice(0, separator)
+    .split(',')
+    .map((syntax) => syntax.trim())
+    .filter(Boolean)
+  const plugin = line.slice(separator + 1).trim()
+  if (syntaxes.length === 0 || !plugin) return null
+  return { syntaxes, plugin }
+}
+
+/**
+ * Plugins from `prettier.plugins.custom` for a syntax. Paths starting with
+ * `~` are expanded; package names and relative paths are left for Prettier
+ * to resolve from the workspace folder.
+ *
+ * @param {string} syntaxKey
+ * @returns {PluginEntry[]}
+ */
+function getCustomPlugins(syntaxKey) {
+  const lines = getConfigWithWorkspaceOverride('prettier.plugins.custom') ?? []
+  const entries = []
+  for (const line of lines) {
+    const custom = parseCustomPlugin(line)
+    if (!custom) {
+      log.warn(`Ignoring custom plugin "${line}", expected "syntax: plugin"`)
+      continue
+    }
+    if (
+      !custom.syntaxes.includes(syntaxKey) &&
+      !custom.syntaxes.includes('*')
+    ) {
+      continue
+    }
+    entries.push({
+      id: custom.plugin,
+      path: custom.plugin.startsWith('~')
+        ? nova.path.expanduser(custom.plugin)
+        : custom.plugin,
+      order: ORDER.custom,
+    })
+  }
+  return entries
+}
+
+/**
+ * The plugins to load for a syntax, bundled and custom, in load order.
+ *
+ * @param {string} syntaxKey
+ * @returns {PluginEntry[]}
+ */
+function getPluginsForSyntax(syntaxKey) {
+  const active = new Map()
+  const isActive = (entry) => {
+    if (!active.has(entry.id)) {
+      active.set(
+        entry.id,
+        isEnabledFor(entry, syntaxKey) &&
+          (!entry.requires || isActive(getBundledPlugin(entry.requires))) &&
+          (!entry.unless || !isActive(getBundledPlugin(entry.unless))),
+      )
+    }
+    return active.get(entry.id)
+  }
+
+  // Array.prototype.sort is stable, so entries of one order keep theirs
+  return [
+    ...BUNDLED_PLUGINS.filter(isActive),
+    ...getCustomPlugins(syntaxKey),
+  ].sort((a, b) => a.order - b.order)
+}
+
 module.exports = {
-  astro: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    'prettier-plugin-astro',
-    'dist',
-    'index.js',
-  ),
-  blade: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    '@shufo',
-    'prettier-plugin-blade',
-    'dist',
-    'index.cjs',
-  ),
-  ejs: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    'prettier-plugin-ejs',
-    'index.js',
-  ),
-  ejsTailwind: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    'prettier-plugin-ejs-tailwindcss',
-    'dist',
-    'index.cjs',
-  ),
-  java: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    'prettier-plugin-java',
-    'dist',
-    'index.js',
-  ),
-  liquid: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    '@shopify',
-    'prettier-plugin-liquid',
-    'dist',
-    'index.js',
-  ),
-  nginx: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    'prettier-plugin-nginx',
-    'dist',
-    'index.js',
-  ),
-  php: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    '@prettier',
-    'plugin-php',
-    'src',
-    'index.mjs',
-  ),
-  properties: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    'prettier-plugin-properties',
-    'index.js',
-  ),
-  sql: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    'prettier-plugin-sql',
-    'lib',
-    'index.js',
-  ),
-  tailwind: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    'prettier-plugin-tailwindcss',
-    'dist',
-    'index.mjs',
-  ),
-  toml: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    'prettier-plugin-toml',
-    'lib',
-    'index.js',
-  ),
-  twig: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    '@zackad',
-    'prettier-plugin-twig',
-    'src',
-    'index.js',
-  ),
-  xml: nova.path.join(
-    nova.extension.path,
-    'node_modules',
-    '@prettier',
-    'plugin-xml',
-    'src',
-    'plugin.js',
-  ),
+  getBundledPlugin,
+  getPluginsForSyntax,
+  getSqlPluginConfig,
 }
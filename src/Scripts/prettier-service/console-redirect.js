@@ -0,0 +1,46 @@
+/**
+ * console-redirect.js — Keep plugin console output off the JSON-RPC stream
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * The service speaks JSON-RPC over stdout, so a plugin or config file that
+ * calls `console.log` would corrupt the stream. `redirectConsole` replaces
+ * the console methods with ones that hand formatted messages to a callback,
+ * which forwards them to the extension as `$/log` notifications.
+ */
+
+const { format } = require('util')
+
+// Console method → level of the extension’s `log` helper. Plain `log`
+// output is mostly plugin chatter, so it’s only shown with debug logging.
+const CONSOLE_LEVELS = {
+  debug: 'debug',
+  dir: 'debug',
+  log: 'debug',
+  table: 'debug',
+  trace: 'debug',
+  info: 'info',
+  warn: 'warn',
+  error: 'error',
+}
+
+/**
+ * Replace the global console methods.
+ *
+ * @param {(message: { level: string, message: string }) => void} send
+ */
+function redirectConsole(send) {
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    console[method] = (...args) => {
+      try {
+        send({ level, message: format(...args) })
+      } catch {
+        /* nowhere left to report to */
+      }
+    }
+  }
+}
+
+module.exports = { redirectConsole }
@@ -0,0 +1,467 @@
+/**
+ * embedded-sql.js — Format SQL embedded in JavaScript, TypeScript and PHP
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Prettier leaves the contents of sql`…` tagged templates (postgres.js,
+ * slonik) and of PHP heredocs and nowdocs labelled SQL alone. This pass runs
+ * after the host code was formatted: it finds those regions, formats them
+ * with prettier-plugin-sql and indents them one level deeper than the line
+ * they start on (templates) or like the closing marker (heredocs).
+ * Interpolations are swapped for placeholders while the SQL is formatted.
+ * Regions that can’t be formatted are left as they are.
+ */
+
+// sql`…`, sql.unsafe`…`, sql.type(User)`…`, sql<Row[]>`…`
+const SQL_TAG =
+  /\bsql(?:\s*\.\s*[A-Za-z_$][\w$]*(?:\s*\([^()`]*\))?)*(?:\s*<[^`;]*?>)?\s*`/g
+
+// <<<SQL, <<<"SQL" and <<<'SQL' (nowdoc)
+const SQL_HEREDOC = /<<<[ \t]*(["']?)(SQL)\1\r?\n/gi
+
+// `$name`, `$name->prop`, `$name[…]` in heredocs
+const PHP_VARIABLE = /\$[A-Za-z_][\w]*(?:->[A-Za-z_][\w]*|\[[^\]\n]*\])*/y
+
+const PLACEHOLDER = (index) => `__prettier_sql_${index}__`
+// Some formatters change the case of identifiers or quote them
+const PLACEHOLDER_PATTERN = /([`"]?)__prettier_sql_(\d+)__([`"]?)/gi
+
+/**
+ * @typedef {Object} SqlRegion
+ * @property {number} start          Offset of the SQL text
+ * @property {number} end            Offset after the SQL text
+ * @property {string} sql            SQL with placeholders
+ * @property {string[]} expressions  Replaced interpolations, by placeholder
+ * @property {(formatted: string) => string} layout  Indents formatted SQL
+ */
+
+/**
+ * Index of the quote closing a string literal, or -1.
+ * @private
+ */
+function skipString(text, i, quote) {
+  for (let j = i + 1; j < text.length; j++) {
+    if (text[j] === '\\') j++
+    else if (text[j] === quote) return j
+    else if (text[j] === '\n') return -1
+  }
+  return -1
+}
+
+/**
+ * Index of the backtick closing a template literal starting before `i`, or
+ * -1.
+ * @private
+ */
+function skipTemplate(text, i) {
+  for (; i < text.length; i++) {
+    if (text[i] === '\\') i++
+    else if (text[i] === '`') return i
+    else if (text[i] === '$' && text[i + 1] === '{') {
+      i = skipExpression(text, i + 2)
+      if (i === -1) return -1
+    }
+  }
+  return -1
+}
+
+/**
+ * Index of the brace closing an interpolation starting at `i`, or -1.
+ * @private
+ */
+function skipExpression(text, i) {
+  let depth = 0
+  for (; i < text.length; i++) {
+    const c = text[i]
+    if (c === '{') depth++
+    else if (c === '}') {
+      if (depth === 0) return i
+      depth--
+    } else if (c === '"' || c === "'") i = skipString(text, i, c)
+    else if (c === '`') i = skipTemplate(text, i + 1)
+    else if (c === '/' && text[i + 1] === '/') i = text.indexOf('\n', i)
+    else if (c === '/' && text[i + 1] === '*') {
+      const close = text.indexOf('*/', i + 2)
+      i = close === -1 ? -1 : close + 1
+    }
+    if (i === -1) return -1
+  }
+  return -1
+}
+
+/**
+ * Blank out `masked` from `start` to `end`, keeping line breaks.
+ * @private
+ */
+function blank(masked, start, end) {
+  for (let i = start; i < Math.min(end, masked.length); i++) {
+    if (masked[i] !== '\n') masked[i] = ' '
+  }
+}
+
+/**
+ * Blank out the text of a template literal starting before `i`, but not its
+ * interpolations. Returns the index of the closing backtick.
+ * @private
+ */
+function maskTemplate(text, masked, i) {
+  for (; i < text.length; i++) {
+    if (text[i] === '`') return i
+    if (text[i] === '$' && text[i + 1] === '{') {
+      i = maskCode(text, masked, i + 2, true)
+    } else {
+      blank(masked, i, i + (text[i] === '\\' ? 2 : 1))
+      if (text[i] === '\\') i++
+    }
+  }
+  return text.length
+}
+
+/**
+ * Blank out comments and the contents of strings and template literals in
+ * code starting at `i`, up to the brace closing an interpolation if
+ * `nested`. Returns the index it stopped at.
+ * @private
+ */
+function maskCode(text, masked, i, nested) {
+  let depth = 0
+  for (; i < text.length; i++) {
+    const c = text[i]
+    if (c === '{') depth++
+    else if (c === '}') {
+      if (nested && depth === 0) return i
+      depth--
+    } else if (c === '"' || c === "'") {
+      // Unterminated, e.g. an apostrophe in JSX text
+      const close = skipString(text, i, c)
+      if (close !== -1) {
+        blank(masked, i + 1, close)
+        i = close
+      }
+    } else if (c === '`') i = maskTemplate(text, masked, i + 1)
+    else if (c === '/' && text[i + 1] === '/') {
+      const close = text.indexOf('\n', i)
+      const end = close === -1 ? text.length : close
+      blank(masked, i, end)
+      i = end - 1
+    } else if (c === '/' && text[i + 1] === '*') {
+      const close = text.indexOf('*/', i + 2)
+      const end = close === -1 ? text.length : close + 2
+      blank(masked, i, end)
+      i = end - 1
+    }
+  }
+  return text.length
+}
+
+/**
+ * The text with comments and the contents of strings and template literals
+ * replaced by spaces, so sql`…` tags are only found in code. Offsets stay the
+ * same.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function maskNonCode(text) {
+  const masked = text.split('')
+  maskCode(text, masked, 0, false)
+  return masked.join('')
+}
+
+/**
+ * Quotes right before and after a placeholder in the SQL as it was before
+ * formatting.
+ * @private
+ */
+function quotesAround(sql, index) {
+  const placeholder = PLACEHOLDER(index)
+  const at = sql.indexOf(placeholder)
+  const before = sql[at - 1]
+  const after = sql[at + placeholder.length]
+  return {
+    open: before === '"' || before === '`' ? before : '',
+    close: after === '"' || after === '`' ? after : '',
+  }
+}
+
+/**
+ * Leading whitespace of the line containing `offset`.
+ * @private
+ */
+function lineIndentAt(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1
+  return text.slice(lineStart).match(/^[ \t]*/)[0]
+}
+
+/**
+ * sql`…` templates in JavaScript and TypeScript.
+ *
+ * @param {string} text
+ * @param {Object} layout
+ * @param {string} layout.indentUnit
+ * @param {number} layout.printWidth  – Shorter one-line templates are kept
+ * @returns {SqlRegion[]}
+ */
+function findTemplateRegions(text, { indentUnit, printWidth }) {
+  const regions = []
+  const code = maskNonCode(text)
+  SQL_TAG.lastIndex = 0
+
+  let match
+  while ((match = SQL_TAG.exec(code))) {
+    const start = match.index + match[0].length
+    const expressions = []
+    let sql = ''
+    let end = -1
+    let hasEscapes = false
+
+    for (let i = start; i < text.length; i++) {
+      const c = text[i]
+      if (c === '`') {
+        end = i
+        break
+      }
+      if (c === '\\') {
+        hasEscapes = true
+        i++
+      } else if (c === '$' && text[i + 1] === '{') {
+        const close = skipExpression(text, i + 2)
+        if (close === -1) break
+        sql += PLACEHOLDER(expressions.length)
+        expressions.push(text.slice(i, close + 1))
+        i = close
+      } else {
+        sql += c
+      }
+    }
+    if (end === -1) break
+    SQL_TAG.lastIndex = end + 1
+
+    // Escapes would have to survive formatting unchanged; not worth the risk
+    if (hasEscapes || !sql.trim()) continue
+
+    // sql`SELECT 1` on a line that fits stays as it is
+    const multiline = sql.includes('\n')
+    if (!multiline) {
+      const lineStart = text.lastIndexOf('\n', start) + 1
+      const lineEnd = text.indexOf('\n', end)
+      const length = (lineEnd === -1 ? text.length : lineEnd) - lineStart
+      if (length <= printWidth) continue
+    }
+
+    const baseIndent = lineIndentAt(text, match.index)
+    regions.push({
+      start,
+      end,
+      sql,
+      expressions,
+      layout(formatted) {
+        // A backtick from the formatter would end the template early
+        if (formatted.includes('`')) return null
+        const lines = formatted
+          .split('\n')
+          .map((line) => (line ? baseIndent + indentUnit + line : line))
+        return `\n${lines.join('\n')}\n${baseIndent}`
+      },
+    })
+  }
+
+  return regions
+}
+
+/**
+ * <<<SQL heredocs and nowdocs in PHP.
+ *
+ * @param {string} text
+ * @returns {SqlRegion[]}
+ */
+function findHeredocRegions(text) {
+  const regions = []
+  SQL_HEREDOC.lastIndex = 0
+
+  let match
+  while ((match = SQL_HEREDOC.exec(text))) {
+    const [opening, quote, label] = match
+    const start = match.index + opening.length
+    const closing = new RegExp(`^([ \\t]*)${label}(?![A-Za-z0-9_])`, 'gm')
+    closing.lastIndex = start
+    const close = closing.exec(text)
+    if (!close) break
+    SQL_HEREDOC.lastIndex = close.index + close[0].length
+
+    const closingIndent = close[1]
+    const content = text.slice(start, close.index)
+    if (content.includes('\\')) continue
+
+    // Heredocs interpolate `{$…}` and `$name`; nowdocs don’t
+    const expressions = []
+    let sql = ''
+    for (let i = 0; i < content.length; i++) {
+      if (quote !== "'" && content[i] === '{' && content[i + 1] === '$') {
+        const closeBrace = skipExpression(content, i + 1)
+        if (closeBrace === -1) break
+        sql += PLACEHOLDER(expressions.length)
+        expressions.push(content.slice(i, closeBrace + 1))
+        i = closeBrace
+        continue
+      }
+      if (quote !== "'" && content[i] === '$') {
+        PHP_VARIABLE.lastIndex = i
+        const variable = PHP_VARIABLE.exec(content)
+        if (variable) {
+          sql += PLACEHOLDER(expressions.length)
+          expressions.push(variable[0])
+          i += variable[0].length - 1
+          continue
+        }
+      }
+      sql += content[i]
+    }
+    if (!sql.trim()) continue
+
+    regions.push({
+      start,
+      end: close.index,
+      sql,
+      expressions,
+      layout(formatted) {
+        const lines = formatted
+          .split('\n')
+          .map((line) => (line ? closingIndent + line : line))
+        return `${lines.join('\n')}\n`
+      },
+    })
+  }
+
+  return regions
+}
+
+/**
+ * Format the SQL regions of a document once.
+ *
+ * @private
+ * @param {object} prettier
+ * @param {string} text
+ * @param {Object} opts  – See `formatEmbeddedSql`
+ * @param {number} [cursorOffset]
+ * @returns {Promise<{ formatted: string, cursorOffset?: number }>}
+ */
+async function formatRegions(
+  prettier,
+  text,
+  { host, options, config },
+  cursorOffset,
+) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n'
+  const source = eol === '\n' ? text : text.replace(/\r\n/g, '\n')
+  const indentUnit = config.useTabs ? '\t' : ' '.repeat(config.tabWidth ?? 2)
+
+  const regions =
+    host === 'php'
+      ? findHeredocRegions(source)
+      : findTemplateRegions(source, {
+          indentUnit,
+          printWidth: config.printWidth ?? 80,
+        })
+
+  // Offsets below refer to `source`; with CRLF the cursor is left alone
+  const trackCursor = cursorOffset != null && eol === '\n'
+
+  let formatted = source
+  // Back to front, so earlier offsets stay valid
+  for (const region of regions.reverse()) {
+    let sql
+    try {
+      sql = await prettier.format(region.sql, {
+        tabWidth: config.tabWidth,
+        useTabs: config.useTabs,
+        ...options,
+        parser: 'sql',
+      })
+    } catch (err) {
+      const line = source.slice(0, region.start).split('\n').length
+      console.warn(
+        `Embedded SQL at line ${line} left unchanged: ${err.message.split('\n')[0]}`,
+      )
+      continue
+    }
+
+    // Put the interpolations back; give up if the formatter lost any. Quotes
+    // around a placeholder are dropped unless they were there before.
+    let restored = 0
+    sql = sql
+      .trim()
+      .replace(PLACEHOLDER_PATTERN, (placeholder, open, index, close) => {
+        const expression = region.expressions[Number(index)]
+        if (expression == null) return placeholder
+        restored++
+        const quotes = quotesAround(region.sql, Number(index))
+        return (
+          (quotes.open ? open : '') + expression + (quotes.close ? close : '')
+        )
+      })
+    if (restored !== region.expressions.length) continue
+
+    const replacement = region.layout(sql)
+    if (replacement == null) continue
+
+    formatted =
+      formatted.slice(0, region.start) +
+      replacement +
+      formatted.slice(region.end)
+
+    if (trackCursor && cursorOffset >= region.end) {
+      cursorOffset += replacement.length - (region.end - region.start)
+    } else if (trackCursor && cursorOffset > region.start) {
+      cursorOffset = region.start
+    }
+  }
+
+  if (eol !== '\n') formatted = formatted.replace(/\n/g, eol)
+  return { formatted, cursorOffset }
+}
+
+/**
+ * Format the embedded SQL of a document Prettier just formatted.
+ *
+ * Multi-line SQL can change how Prettier breaks the surrounding code, so
+ * when anything changed the host code is formatted once more and the SQL
+ * re-indented to match. Range formatting is left alone, it must not touch
+ * SQL outside the range.
+ *
+ * @param {object} prettier        – The Prettier module
+ * @param {{ formatted: string, cursorOffset?: number }} result
+ *   Result of formatting the host code
+ * @param {Object} opts
+ * @param {'js'|'php'} opts.host   – Kind of document
+ * @param {object} opts.options    – Prettier options for the SQL, including
+ *                                   prettier-plugin-sql in `plugins`
+ * @param {object} opts.config     – Options the host code was formatted with
+ * @returns {Promise<{ formatted: string, cursorOffset?: number }>}
+ */
+async function formatEmbeddedSql(prettier, result, { host, options, config }) {
+  const { rangeStart, rangeEnd, ...hostConfig } = config
+  if (rangeStart != null || rangeEnd != null) return result
+
+  const opts = { host, options, config: hostConfig }
+  const first = await formatRegions(
+    prettier,
+    result.formatted,
+    opts,
+    result.cursorOffset,
+  )
+  if (first.formatted === result.formatted) return result
+
+  const again =
+    first.cursorOffset == null
+      ? { formatted: await prettier.format(first.formatted, hostConfig) }
+      : await prettier.formatWithCursor(first.formatted, {
+          ...hostConfig,
+          cursorOffset: first.cursorOffset,
+        })
+  return formatRegions(prettier, again.formatted, opts, again.cursorOffset)
+}
+
+module.exports = { formatEmbeddedSql }
@@ -0,0 +1,69 @@
+/**
+ * format-worker.js — Worker thread that runs Prettier for the service
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Loads Prettier from `workerData.modulePath` and answers `format` and
+ * `check` jobs posted by the WorkerPool. Plugins are loaded by Prettier
+ * itself on first use, so every worker keeps its own copy.
+ */
+
+const { parentPort, workerData } = require('worker_threads')
+
+const { redirectConsole } = require('./console-redirect.js')
+const { formatEmbeddedSql } = require('./embedded-sql.js')
+const { serializeError } = require('./serialize-error.js')
+
+// A worker’s stdout ends up on the service’s, so console output goes to the
+// pool instead, which forwards it to the extension
+redirectConsole((log) => parentPort.postMessage({ log }))
+
+const prettier = require(workerData.modulePath)
+
+const handlers = {
+  /**
+   * @param {Object} params
+   * @param {string} params.original
+   * @param {object} params.config      – Final Prettier options
+   * @param {boolean} [params.withCursor]
+   * @param {object} [params.embeddedSql]  – See `formatEmbeddedSql`
+   * @returns {Promise<{ formatted: string, cursorOffset?: number }>}
+   */
+  async format({ original, config, withCursor, embeddedSql }) {
+    let result
+    // If withCursor flag is true and a cursor offset was provided, use formatWithCursor
+    if (withCursor && typeof config.cursorOffset === 'number') {
+      const { formatted, cursorOffset } = await prettier.formatWithCursor(
+        original,
+        config,
+      )
+      result = { formatted, cursorOffset }
+    } else {
+      result = { formatted: await prettier.format(original, config) }
+    }
+
+    if (!embeddedSql) return result
+    return formatEmbeddedSql(prettier, result, { ...embeddedSql, config })
+  },
+
+  /**
+   * @param {Object} params
+   * @param {string} params.original
+   * @param {object} params.config      – Final Prettier options
+   * @returns {Promise<boolean>}
+   */
+  async check({ original, config }) {
+    return prettier.check(original, config)
+  },
+}
+
+parentPort.on('message', async ({ id, method, params }) => {
+  try {
+    const result = await handlers[method](params)
+    parentPort.postMessage({ id, result })
+  } catch (err) {
+    parentPort.postMessage({ id, error: serializeError(err) })
+  }
+})
@@ -12,6 +12,7 @@
  * - Parse-error recovery (no process.exit)
  * - Back-pressure support on writeStream
  * - Transform‐stream parser for clean piping
+ * - Notification handlers and LSP-style `$/cancelRequest`
  */
 
 const { Transform } = require('stream')
@@ -21,6 +22,8 @@ const PARSE_ERROR = { code: -32700, message: 'Parse error' }
 const INVALID_REQUEST = { code: -32600, message: 'Invalid Request' }
 const METHOD_NOT_FOUND = { code: -32601, message: 'Method not found' }
 const INTERNAL_ERROR = { code: -32603, message: 'Internal error' }
+// LSP extension to JSON-RPC, answered when a request was cancelled
+const REQUEST_CANCELLED = { code: -32800, message: 'Request cancelled' }
 
 /**
  * Maximum allowed JSON-RPC frame body in bytes.
@@ -170,6 +173,33 @@ JsonRpcParser.CRLF = Buffer.from('\r\n\r\n', 'ascii')
  */
 JsonRpcParser.LF = Buffer.from('\n\n', 'ascii')
 
+/**
+ * Passed to request handlers; flips once the client cancels the request.
+ */
+class CancellationToken {
+  constructor() {
+    this.isCancellationRequested = false
+    /** @private */
+    this._listeners = []
+  }
+
+  /**
+   * Run `listener` once cancellation is requested, or right away if it
+   * already was.
+   * @param {() => void} listener
+   */
+  onCancellationRequested(listener) {
+    if (this.isCancellationRequested) listener()
+    else this._listeners.push(listener)
+  }
+
+  cancel() {
+    if (this.isCancellationRequested) return
+    this.isCancellationRequested = true
+    for (const listener of this._listeners.splice(0)) listener()
+  }
+}
+
 class JsonRpcService {
   /**
    * @param {import('stream').Readable} readStream
@@ -181,8 +211,15 @@ class JsonRpcService {
     this.writeStream = writeStream
     this.logger = logger
     this.handlers = new Map()
+    this.notificationHandlers = new Map()
+    /** @type {Map<string|number, CancellationToken>} tokens of running requests */
+    this.cancellationTokens = new Map()
     this.parser = new JsonRpcParser()
 
+    this.onNotification('$/cancelRequest', ({ id } = {}) => {
+      this.cancellationTokens.get(id)?.cancel()
+    })
+
     // Pipe incoming bytes into our parser, and unpipe on fatal errors
     const piped = readStream.pipe(this.parser)
     piped
@@ -215,8 +252,14 @@ class JsonRpcService {
    * Register a handler for incoming requests.
    * Returns an “unsubscribe” function you can call to remove it.
    *
+   * The handler receives a CancellationToken that is cancelled by a
+   * `$/cancelRequest` notification carrying the request’s `id`. Clients that
+   * can’t see their request IDs may put a `cancellationId` in the params and
+   * cancel with that instead. A cancelled request is answered with a
+   * “Request cancelled” error, whatever the handler returns.
+   *
    * @param {string} method
-   * @param {(params: any) => Promise<any> | any} handler
+   * @param {(params: any, token: CancellationToken) => Promise<any> | any} handler
    * @returns {() => void}  – call this to unregister the handler
    */
   onRequest(method, handler) {
@@ -227,6 +270,21 @@ class JsonRpcService {
     }
   }
 
+  /**
+   * Register a handler for incoming notifications.
+   * Returns an “unsubscribe” function you can call to remove it.
+   *
+   * @param {string} method
+   * @param {(params: any) => Promise<void> | void} handler
+   * @returns {() => void}  – call this to unregister the handler
+   */
+  onNotification(method, handler) {
+    this.notificationHandlers.set(method, handler)
+    return () => {
+      this.notificationHandlers.delete(method)
+    }
+  }
+
   async _handleFrame({ error, body }) {
     if (error) {
       // Parse error response (id must be null)
@@ -287,7 +345,15 @@ class JsonRpcService {
     }
 
     // Notification: no id => no response
-    if (id === undefined) return null
+    if (id === undefined) {
+      const notificationHandler = this.notificationHandlers.get(method)
+      try {
+        await notificationHandler?.(params)
+      } catch (err) {
+        this.logger.error(`Error in notification handler for ${method}`, err)
+      }
+      return null
+    }
 
     const handler = this.handlers.get(method)
     if (!handler) {
@@ -298,14 +364,25 @@ class JsonRpcService {
       }
     }
 
+    const token = new CancellationToken()
+    const keys = [id, params?.cancellationId].filter((key) => key != null)
+    for (const key of keys) this.cancellationTokens.set(key, token)
+
     try {
-      const result = await handler(params)
+      const result = await handler(params, token)
+      if (token.isCancellationRequested) {
+        return { jsonrpc: '2.0', error: REQUEST_CANCELLED, id }
+      }
       return {
         jsonrpc: '2.0',
         result,
         id,
       }
     } catch (err) {
+      if (token.isCancellationRequested) {
+        return { jsonrpc: '2.0', error: REQUEST_CANCELLED, id }
+      }
+
       // if handler threw a JSON-RPC error object, pass it through
       const errObj =
         err && typeof err.code === 'number' && err.message
@@ -323,6 +400,12 @@ class JsonRpcService {
         error: errObj,
         id,
       }
+    } finally {
+      for (const key of keys) {
+        if (this.cancellationTokens.get(key) === token) {
+          this.cancellationTokens.delete(key)
+        }
+      }
     }
   }
 
@@ -359,7 +442,11 @@ class JsonRpcService {
     this.readStream.unpipe(this.parser)
     this.parser.removeAllListeners()
     this.handlers.clear()
+    this.notificationHandlers.clear()
+    for (const token of this.cancellationTokens.values()) token.cancel()
+    this.cancellationTokens.clear()
   }
 }
 
 module.exports = JsonRpcService
+module.exports.CancellationToken = CancellationToken
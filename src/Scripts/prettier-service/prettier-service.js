@@ -9,17 +9,49 @@
  * for formatting and config resolution.
  */
 
+const fs = require('fs')
+const path = require('path')
+
+const { redirectConsole } = require('./console-redirect.js')
 const JsonRpcService = require('./json-rpc.js')
+const { serializeError } = require('./serialize-error.js')
+const { computeEdits } = require('./text-edits.js')
+const { formatEmbeddedSql } = require('./embedded-sql.js')
+/** @typedef {import('./text-edits.js').TextEdit} TextEdit */
+/** @typedef {import('./serialize-error.js').SerializedError} SerializedError */
+/** @typedef {import('./json-rpc.js').CancellationToken} CancellationToken */
+const { WorkerPool } = require('./worker-pool.js')
+
+// Results whose JSON is larger go through `resultPath`; frames to the
+// extension are limited the same way as requests
+const MAX_INLINE_RESULT_BYTES = 32 * 1024 * 1024
+
+// Config files that can compute their options
+const SCRIPT_CONFIG = /\.[cm]?[jt]s$/
+
+// .editorconfig sections matching all files with an extension alike, e.g.
+// `[*]`, `[*.md]` or `[src/**.{js,ts}]`
+const EXTENSION_SECTION = /^(?:.*\/)?\*{1,2}(?:\.[\w-]+|\.\{[\w,.-]+\})?$/
 
 class FormattingService {
   constructor(jsonRpc) {
     this.format = this.format.bind(this)
+    this.check = this.check.bind(this)
+    this.formatFiles = this.formatFiles.bind(this)
     this.hasConfig = this.hasConfig.bind(this)
+    this.explainConfig = this.explainConfig.bind(this)
+    this.invalidate = this.invalidate.bind(this)
 
     this.jsonRpc = jsonRpc
 
     this.jsonRpc.onRequest('format', this.format)
+    this.jsonRpc.onRequest('check', this.check)
+    this.jsonRpc.onRequest('formatFiles', this.formatFiles)
     this.jsonRpc.onRequest('hasConfig', this.hasConfig)
+    this.jsonRpc.onRequest('explainConfig', this.explainConfig)
+    this.jsonRpc.onRequest('invalidate', this.invalidate)
+    // Answered on the main thread, so a reply means the service isn’t stuck
+    this.jsonRpc.onRequest('ping', () => 'pong')
   }
 
   /**
@@ -29,15 +61,31 @@ class FormattingService {
    * @param {string} params.pathForConfig
    * @param {string|null} params.ignorePath
    * @param {object} params.options
+   * @param {CancellationToken} [token]
    * @throws {Error} Always throws unless overridden
    */
 
-  async format({ _original, _pathForConfig, _ignorePath, _options }) {
+  async format({ _original, _pathForConfig, _ignorePath, _options }, _token) {
     throw new Error(
       'FormattingService.format() must be implemented by subclass',
     )
   }
 
+  /**
+   * Abstract method. Must be implemented by subclass.
+   * @param {object} params
+   * @param {string} params.original
+   * @param {string} params.pathForConfig
+   * @param {string|null} params.ignorePath
+   * @param {object} params.options
+   * @param {CancellationToken} [token]
+   * @throws {Error} Always throws unless overridden
+   */
+
+  async check({ _original, _pathForConfig, _ignorePath, _options }, _token) {
+    throw new Error('FormattingService.check() must be implemented by subclass')
+  }
+
   /**
    * Abstract method. Must be implemented by subclass.
    * @param {object} params
@@ -50,6 +98,93 @@ class FormattingService {
       'FormattingService.hasConfig() must be implemented by subclass',
     )
   }
+
+  /**
+   * Abstract method. Must be implemented by subclass.
+   * @param {object} params
+   * @param {string} params.pathForConfig
+   * @param {string|null} params.ignorePath
+   * @param {object} params.options
+   * @throws {Error} Always throws unless overridden
+   */
+
+  async explainConfig({ _pathForConfig, _ignorePath, _options }) {
+    throw new Error(
+      'FormattingService.explainConfig() must be implemented by subclass',
+    )
+  }
+
+  /**
+   * Abstract method. Must be implemented by subclass.
+   * @param {object} params
+   * @param {string|null} [params.directory]
+   * @throws {Error} Always throws unless overridden
+   */
+
+  async invalidate({ _directory }) {
+    throw new Error(
+      'FormattingService.invalidate() must be implemented by subclass',
+    )
+  }
+
+  /**
+   * Format a batch of files on disk and write back the ones that changed.
+   * Relies on `format()`, so subclasses only need to implement that.
+   *
+   * @param {Object} params
+   * @param {Array<{ path: string, pathForConfig: string, ignorePath: string|null, options: object, embeddedSql?: object }>} params.files
+   * @returns {Promise<Array<{
+   *   path: string,
+   *   status: 'changed' | 'unchanged' | 'ignored' | 'error',
+   *   error?: { name: string, message: string }
+   * }>>}
+   * @throws {never} Per-file errors are returned with `status: 'error'`
+   */
+  async formatFiles({ files }) {
+    const results = []
+
+    for (const {
+      path,
+      pathForConfig,
+      ignorePath,
+      options,
+      embeddedSql,
+    } of files) {
+      try {
+        const original = await fs.promises.readFile(path, 'utf8')
+        const result = await this.format({
+          original,
+          pathForConfig,
+          ignorePath,
+          options,
+          embeddedSql,
+        })
+
+        if (result.error) {
+          results.push({
+            path,
+            status: 'error',
+            error: { name: result.error.name, message: result.error.message },
+          })
+        } else if (result.ignored || result.missingParser) {
+          results.push({ path, status: 'ignored' })
+        } else if (result.formatted === original) {
+          results.push({ path, status: 'unchanged' })
+        } else {
+          await fs.promises.writeFile(path, result.formatted, 'utf8')
+          results.push({ path, status: 'changed' })
+        }
+      } catch (err) {
+        results.push({
+          path,
+          status: 'error',
+          error: { name: err.name, message: err.message },
+        })
+      }
+    }
+
+    return results
+  }
 }
 
 class PrettierService extends FormattingService {
@@ -61,58 +196,194 @@ class PrettierService extends FormattingService {
     )
   }
 
-  constructor(jsonRpc, prettier) {
+  /**
+   * @param {JsonRpcService} jsonRpc
+   * @param {object} prettier            – The loaded Prettier module
+   * @param {WorkerPool|null} [pool]     – Runs `format` and `check` off the
+   *                                       main thread; null to run them here
+   */
+  constructor(jsonRpc, prettier, pool = null) {
     super(jsonRpc)
     this.prettier = prettier
-    this._configCache = new Map()
+    this.pool = pool
+    /** @type {Map<string, string|null>} nearest config file per directory */
+    this._configFileCache = new Map()
+    /** @type {Map<string, object>} `getFileInfo` results per file and ignore file */
     this._fileInfoCache = new Map()
+    /** @type {Map<string, boolean>} see `isDirectoryWide`, per directory, config file and extension */
+    this._directoryWideCache = new Map()
+    /** @type {Map<string, object|null>} resolved options, see `resolveOptions` */
+    this._configCache = new Map()
+  }
+
+  /**
+   * The text of a request: sent inline or, for large documents, as a file
+   * written by the extension.
+   *
+   * @param {Object} params
+   * @param {string} [params.original]
+   * @param {string} [params.originalPath]
+   * @returns {Promise<string>}
+   */
+  async readOriginal({ original, originalPath }) {
+    return original ?? fs.promises.readFile(originalPath, 'utf8')
   }
 
   /**
    * Format the provided source using Prettier.
    *
    * @param {Object} params
-   * @param {string} params.original       – The original source text to format
+   * @param {string} [params.original]     – The original source text to format
+   * @param {string} [params.originalPath] – File holding the text instead, for
+   *                                         large documents
+   * @param {string} [params.resultPath]   – File to write a result too large
+   *                                         to send inline to; the response
+   *                                         is then `{ resultPath }`
    * @param {string} params.pathForConfig  – Path to use when resolving .prettierrc or similar
    * @param {string|null} params.ignorePath – Path to a `.prettierignore` file (or null)
    * @param {object} params.options        – User-specified Prettier options
    * @param {boolean} [params.withCursor]  – If true, returns `{ formatted, cursorOffset }`
+   * @param {object} [params.embeddedSql]  – Format SQL embedded in the
+   *                                         document, see `formatEmbeddedSql`
+   * @param {boolean} [params.withEdits]   – If true, returns the `edits` turning
+   *                                         `original` into the formatted text
+   *                                         instead of the text itself
+   * @param {CancellationToken} [token]    – Skips the work if the request was
+   *                                         superseded before it got to run
    * @returns {Promise<
    *   { formatted: string } |
    *   { cursorOffset: number, formatted: string } |
+   *   { cursorOffset?: number, edits: TextEdit[] } |
+   *   { resultPath: string } |
    *   { ignored: true } |
    *   { missingParser: true } |
-   *   { error: { name: string, message: string, stack: string } }
-   * >}
+   *   { error: SerializedError }
+   * >} – Besides ignored files, responses carry `timings`: the milliseconds
+   *      spent in `fileInfo`, `config`, `format` and `diff`
    * @throws {never} Formatting errors are caught and returned in `result.error`, so this method never throws
    */
-  async format({ original, pathForConfig, ignorePath, options, withCursor }) {
+  async format(
+    {
+      original,
+      originalPath,
+      resultPath,
+      pathForConfig,
+      ignorePath,
+      options,
+      withCursor,
+      embeddedSql,
+      withEdits,
+    },
+    token = null,
+  ) {
+    const timings = {}
     const { ignored, config } = await this.getConfig({
       pathForConfig,
       ignorePath,
       options,
+      timings,
     })
 
     if (ignored) return { ignored: true }
-    if (!config.parser) return { missingParser: true }
+    if (!config.parser) return { missingParser: true, timings }
+    // The response is discarded anyway, don’t spend time formatting
+    if (token?.isCancellationRequested) return {}
 
+    let started = performance.now()
+    let result
     try {
-      // If withCursor flag is true and a cursor offset was provided, use formatWithCursor
-      if (withCursor && typeof config.cursorOffset === 'number') {
+      original = await this.readOriginal({ original, originalPath })
+      if (this.pool) {
+        result = await this.pool.run(
+          'format',
+          { original, config, withCursor, embeddedSql },
+          token,
+        )
+      } else if (withCursor && typeof config.cursorOffset === 'number') {
+        // If withCursor flag is true and a cursor offset was provided, use formatWithCursor
         // formatWithCursor returns an object with both formatted code and new cursorOffset
-        return await this.prettier.formatWithCursor(original, config)
+        result = await this.prettier.formatWithCursor(original, config)
       } else {
         // Otherwise fall back to the regular format method
-        return { formatted: await this.prettier.format(original, config) }
+        result = { formatted: await this.prettier.format(original, config) }
+      }
+      if (embeddedSql && !this.pool) {
+        result = await formatEmbeddedSql(this.prettier, result, {
+          ...embeddedSql,
+          config,
+        })
+      }
+    } catch (err) {
+      timings.format = performance.now() - started
+      return { error: serializeError(err), timings }
+    }
+    timings.format = performance.now() - started
+
+    if (withEdits) {
+      // Diffing here keeps it off Nova’s thread, and the edits are usually
+      // much smaller than the formatted text
+      started = performance.now()
+      const { formatted, cursorOffset } = result
+      result = { edits: computeEdits(original, formatted), cursorOffset }
+      timings.diff = performance.now() - started
+    }
+
+    if (!resultPath) return { ...result, timings }
+    try {
+      const json = JSON.stringify(result)
+      if (Buffer.byteLength(json) <= MAX_INLINE_RESULT_BYTES) {
+        return { ...result, timings }
       }
+      await fs.promises.writeFile(resultPath, json)
     } catch (err) {
+      return { error: serializeError(err), timings }
+    }
+    return { resultPath, timings }
+  }
+
+  /**
+   * Check whether the provided source is already formatted, without changing it.
+   *
+   * @param {Object} params
+   * @param {string} [params.original]     – The source text to check
+   * @param {string} [params.originalPath] – File holding the text instead
+   * @param {string} params.pathForConfig  – Path to use when resolving .prettierrc or similar
+   * @param {string|null} params.ignorePath – Path to a `.prettierignore` file (or null)
+   * @param {object} params.options        – User-specified Prettier options
+   * @param {CancellationToken} [token]    – Skips the work if the request was
+   *                                         superseded before it got to run
+   * @returns {Promise<
+   *   { isFormatted: boolean } |
+   *   { ignored: true } |
+   *   { missingParser: true } |
+   *   { error: SerializedError }
+   * >}
+   * @throws {never} Errors are caught and returned in `result.error`, so this method never throws
+   */
+  async check(
+    { original, originalPath, pathForConfig, ignorePath, options },
+    token = null,
+  ) {
+    const { ignored, config } = await this.getConfig({
+      pathForConfig,
+      ignorePath,
+      options,
+    })
+
+    if (ignored) return { ignored: true }
+    if (!config.parser) return { missingParser: true }
+    // The response is discarded anyway, don’t spend time checking
+    if (token?.isCancellationRequested) return {}
+
+    try {
+      original = await this.readOriginal({ original, originalPath })
       return {
-        error: {
-          name: err.name,
-          message: err.message,
-          stack: err.stack,
-        },
+        isFormatted: this.pool
+          ? await this.pool.run('check', { original, config }, token)
+          : await this.prettier.check(original, config),
       }
+    } catch (err) {
+      return { error: serializeError(err) }
     }
   }
 
@@ -124,8 +395,278 @@ class PrettierService extends FormattingService {
    * @returns {Promise<boolean>}          – True if a config was found, else false
    */
   async hasConfig({ pathForConfig }) {
-    const config = await this.prettier.resolveConfig(pathForConfig)
-    return config !== null
+    const configFile = await this.resolveConfigFile(pathForConfig)
+    return configFile !== null
+  }
+
+  /**
+   * Drop cached config and file info for everything inside a directory tree,
+   * e.g. after a `.prettierrc`, `.prettierignore` or `.editorconfig` changed.
+   *
+   * @param {Object} params
+   * @param {string|null} [params.directory] – Root of the affected tree; omit to clear everything
+   * @returns {Promise<number>}               – Number of dropped cache entries
+   */
+  async invalidate({ directory } = {}) {
+    const prefix = directory
+      ? directory.endsWith(path.sep)
+        ? directory
+        : directory + path.sep
+      : null
+    // Keys start with a path, followed by other parts after a NUL
+    const isAffected = (key) => {
+      const keyPath = key.split('\0')[0]
+      return !prefix || keyPath === directory || keyPath.startsWith(prefix)
+    }
+
+    let dropped = 0
+    for (const cache of [
+      this._configFileCache,
+      this._fileInfoCache,
+      this._directoryWideCache,
+      this._configCache,
+    ]) {
+      for (const key of cache.keys()) {
+        if (isAffected(key)) {
+          cache.delete(key)
+          dropped++
+        }
+      }
+    }
+
+    // Prettier caches the parsed config files itself
+    if (typeof this.prettier.clearConfigCache === 'function') {
+      await this.prettier.clearConfigCache()
+    }
+
+    return dropped
+  }
+
+  /**
+   * Resolve the final options like `format` does, along with what the
+   * config file and .editorconfig contributed, so the extension can tell
+   * where each option came from.
+   *
+   * @param {Object} params
+   * @param {string}      params.pathForConfig
+   * @param {string|null} params.ignorePath
+   * @param {object}      params.options
+   * @returns {Promise<
+   *   | { ignored: true }
+   *   | {
+   *       ignored: false,
+   *       config: object,
+   *       configFile: string|null,
+   *       fromConfigFile: object,
+   *       fromEditorconfig: object,
+   *       inferredParser: boolean,
+   *     }
+   * >}
+   */
+  async explainConfig({ pathForConfig, ignorePath, options }) {
+    const { ignored, config } = await this.getConfig({
+      pathForConfig,
+      ignorePath,
+      options,
+    })
+    if (ignored) return { ignored: true }
+
+    let configFile = null
+    let fromConfigFile = {}
+    const fromEditorconfig = {}
+
+    if (!options._customConfigFile && !options._ignoreConfigFile) {
+      configFile = await this.resolveConfigFile(pathForConfig)
+      if (configFile) {
+        fromConfigFile =
+          (await this.prettier.resolveConfig(pathForConfig, {
+            editorconfig: false,
+            config: configFile,
+          })) ?? {}
+      }
+
+      // The config file takes precedence, so .editorconfig only supplies the rest
+      const merged =
+        (await this.prettier.resolveConfig(pathForConfig, {
+          editorconfig: true,
+          ...(configFile ? { config: configFile } : {}),
+        })) ?? {}
+      for (const [key, value] of Object.entries(merged)) {
+        if (!(key in fromConfigFile)) fromEditorconfig[key] = value
+      }
+    }
+
+    return {
+      ignored: false,
+      config,
+      configFile,
+      fromConfigFile,
+      fromEditorconfig,
+      inferredParser: config.parser !== options.parser,
+    }
+  }
+
+  /**
+   * Collect the languages known to the loaded Prettier, including the plugins
+   * configured at the workspace root, so the extension can detect syntaxes it
+   * doesn’t know about statically.
+   *
+   * @returns {Promise<{ languages: Array<{
+   *   name: string,
+   *   parsers: string[],
+   *   extensions: string[],
+   *   filenames: string[],
+   *   vscodeLanguageIds: string[],
+   * }> }>}
+   * @throws {never} Failures are swallowed, yielding fewer or no languages
+   */
+  async getSupportInfo() {
+    if (typeof this.prettier.getSupportInfo !== 'function') {
+      return { languages: [] }
+    }
+
+    let plugins = []
+    try {
+      // Any file name works, we only need the config of the workspace root
+      const config = await this.prettier.resolveConfig(
+        path.join(process.cwd(), 'index.js'),
+      )
+      plugins = config?.plugins ?? []
+    } catch {
+      /* no usable workspace config */
+    }
+
+    let info
+    try {
+      info = await this.prettier.getSupportInfo({ plugins })
+    } catch {
+      // A broken plugin must not prevent the service from starting
+      try {
+        info = await this.prettier.getSupportInfo()
+      } catch {
+        return { languages: [] }
+      }
+    }
+
+    return {
+      languages: info.languages.map(
+        ({
+          name,
+          parsers = [],
+          extensions = [],
+          filenames = [],
+          vscodeLanguageIds = [],
+        }) => ({ name, parsers, extensions, filenames, vscodeLanguageIds }),
+      ),
+    }
+  }
+
+  /**
+   * Internal helper: find the config file that applies to a path, cached per
+   * directory since every file in a directory shares the same config file.
+   *
+   * @param {string} pathForConfig
+   * @returns {Promise<string|null>} – Path of the config file, or null if there is none
+   */
+  async resolveConfigFile(pathForConfig) {
+    const directory = path.dirname(pathForConfig)
+    if (this._configFileCache.has(directory)) {
+      return this._configFileCache.get(directory)
+    }
+
+    const configFile =
+      (await this.prettier.resolveConfigFile(pathForConfig)) ?? null
+    this._configFileCache.set(directory, configFile)
+    return configFile
+  }
+
+  /**
+   * Internal helper: whether the options resolved for a file apply to every
+   * file with the same extension in its directory. Not if the config file has
+   * `overrides` or may compute its options (JavaScript, shared configs), nor
+   * if an .editorconfig has sections for particular files.
+   *
+   * @param {string} directory
+   * @param {string|null} configFile
+   * @returns {Promise<boolean>}
+   */
+  async isDirectoryWide(directory, configFile) {
+    if (configFile) {
+      if (SCRIPT_CONFIG.test(configFile)) return false
+      let text
+      try {
+        text = await fs.promises.readFile(configFile, 'utf8')
+      } catch {
+        return false
+      }
+      if (text.includes('overrides')) return false
+
+      // A shared config referenced by name, e.g. "@company/prettier-config"
+      const sharedConfig =
+        {
+          'package.json': /"prettier"\s*:\s*"/,
+          'package.yaml': /^prettier[ \t]*:[ \t]*\S/m,
+        }[path.basename(configFile)] ?? /^\s*["']?[@\w][\w@./-]*["']?\s*$/
+      if (sharedConfig.test(text)) return false
+    }
+
+    // .editorconfig files up to the root one
+    for (let current = directory; ; current = path.dirname(current)) {
+      let text = ''
+      try {
+        text = await fs.promises.readFile(
+          path.join(current, '.editorconfig'),
+          'utf8',
+        )
+      } catch {
+        // None in this directory
+      }
+      for (const [, section] of text.matchAll(/^[ \t]*\[(.*)\][ \t]*$/gm)) {
+        if (!EXTENSION_SECTION.test(section.trim())) return false
+      }
+      if (/^[ \t]*root[ \t]*=[ \t]*true[ \t]*$/im.test(text)) break
+      if (path.dirname(current) === current) break
+    }
+
+    return true
+  }
+
+  /**
+   * Internal helper: the options from the config file and .editorconfig for
+   * a path. Cached per directory and extension where they are the same for
+   * all those files (see `isDirectoryWide`), per file otherwise.
+   *
+   * @param {string} pathForConfig
+   * @param {string|null} configFile
+   * @returns {Promise<object|null>}
+   */
+  async resolveOptions(pathForConfig, configFile) {
+    const directory = path.dirname(pathForConfig)
+    const directoryKey = [
+      directory,
+      configFile ?? '',
+      path.extname(pathForConfig),
+    ].join('\0')
+    if (!this._directoryWideCache.has(directoryKey)) {
+      this._directoryWideCache.set(
+        directoryKey,
+        await this.isDirectoryWide(directory, configFile),
+      )
+    }
+
+    const key = this._directoryWideCache.get(directoryKey)
+      ? directoryKey
+      : [pathForConfig, configFile ?? ''].join('\0')
+    if (!this._configCache.has(key)) {
+      this._configCache.set(
+        key,
+        await this.prettier.resolveConfig(pathForConfig, {
+          editorconfig: true,
+          ...(configFile ? { config: configFile } : {}),
+        }),
+      )
+    }
+    return this._configCache.get(key)
   }
 
   /**
@@ -135,45 +676,49 @@ class PrettierService extends FormattingService {
    * @param {string}      params.pathForConfig  – Base path for locating config
    * @param {string|null} params.ignorePath     – Path to ignore-file (or null)
    * @param {object}      params.options        – Raw options from the RPC payload
+   * @param {object}      [params.timings]      – Receives the milliseconds spent
+   *                                              in `fileInfo` and `config`
    * @returns {Promise<{ ignored: boolean, config: object }>}
    *   - { ignored: true } if the file is in .prettierignore
    *   - otherwise `{ ignored: false, config }` where `config` is the final Prettier options
    */
-  async getConfig({ pathForConfig, ignorePath, options }) {
+  async getConfig({ pathForConfig, ignorePath, options, timings = {} }) {
+    let started = performance.now()
     let info = {}
     if (options.filepath) {
-      if (this._fileInfoCache.has(options.filepath)) {
-        info = this._fileInfoCache.get(options.filepath)
+      const key = [options.filepath, ignorePath ?? ''].join('\0')
+      if (this._fileInfoCache.has(key)) {
+        info = this._fileInfoCache.get(key)
       } else {
         info = await this.prettier.getFileInfo(options.filepath, {
           ignorePath,
           withNodeModules: false,
         })
-        this._fileInfoCache.set(options.filepath, info)
+        this._fileInfoCache.set(key, info)
       }
+      timings.fileInfo = performance.now() - started
       if (info.ignored) return { ignored: true }
     }
 
+    started = performance.now()
     let inferredConfig = {}
     if (!options._customConfigFile && !options._ignoreConfigFile) {
-      if (this._configCache.has(pathForConfig)) {
-        inferredConfig = this._configCache.get(pathForConfig)
-      } else {
-        inferredConfig = await this.prettier.resolveConfig(pathForConfig, {
-          editorconfig: true,
-        })
-        this._configCache.set(pathForConfig, inferredConfig)
-      }
+      const configFile = await this.resolveConfigFile(pathForConfig)
+      inferredConfig = await this.resolveOptions(pathForConfig, configFile)
     }
 
+    timings.config = performance.now() - started
+
     // inferredConfig comes first, user options override
     const config = { ...inferredConfig, ...options }
 
     // [optional] cleanup internal flags so Prettier doesn’t see them
     delete config._customConfigFile
     delete config._ignoreConfigFile
+    delete config._keepParser
 
-    if (info.inferredParser) {
+    // A parser picked for the project or by the user beats the inferred one
+    if (info.inferredParser && !options._keepParser) {
       config.parser = info.inferredParser
     }
 
@@ -181,11 +726,21 @@ class PrettierService extends FormattingService {
   }
 }
 
+// How often to check whether the extension host is still alive
+const ORPHAN_CHECK_INTERVAL = 5000
+
 let jsonRpcService
 ;(async () => {
   // 1) instantiate and register handlers
   jsonRpcService = new JsonRpcService(process.stdin, process.stdout)
-  const [, , modulePath] = process.argv
+  // stdout carries JSON-RPC, so console output is sent as `$/log` instead
+  const forwardLog = (message) =>
+    jsonRpcService.notify('$/log', message).catch(() => {})
+  redirectConsole(forwardLog)
+  // workers: size of the formatting pool, 0 to format on this thread
+  // jobTimeout: time limit per formatting job in seconds
+  const [, , modulePath, workers = '0', jobTimeout = '30'] = process.argv
+  let pool = null
 
   process.on('uncaughtException', async (err) => {
     await jsonRpcService.notify('didCrash', {
@@ -206,16 +761,29 @@ let jsonRpcService
 
   try {
     const module = require(modulePath)
-    if (PrettierService.isCorrectModule(module)) {
-      new PrettierService(jsonRpcService, module)
-    } else {
+    if (!PrettierService.isCorrectModule(module)) {
       throw new Error(
         `Module at ${modulePath} does not appear to be a valid Prettier module`,
       )
     }
+    if (Number(workers) > 0) {
+      pool = new WorkerPool(
+        path.join(__dirname, 'format-worker.js'),
+        { modulePath },
+        {
+          size: Number(workers),
+          jobTimeout: Number(jobTimeout) * 1000,
+          onLog: forwardLog,
+        },
+      )
+    }
+    const service = new PrettierService(jsonRpcService, module, pool)
 
-    // 2) await the startup notification so we know it went out
-    await jsonRpcService.notify('didStart')
+    // 2) await the startup notification so we know it went out;
+    //    it carries the supported languages for syntax detection
+    await jsonRpcService.notify('didStart', {
+      supportInfo: await service.getSupportInfo(),
+    })
   } catch (err) {
     // if we failed during bootstrap, notify and exit
     if (jsonRpcService) {
@@ -229,8 +797,9 @@ let jsonRpcService
   }
 
   // 3) graceful shutdown
-  process.once('SIGTERM', async () => {
+  const shutdown = async () => {
     try {
+      await pool?.dispose()
       await jsonRpcService.dispose()
       process.stdin.destroy()
       process.stdout.destroy()
@@ -238,5 +807,20 @@ let jsonRpcService
       /* swallow */
     }
     process.exit(0)
-  })
+  }
+  process.once('SIGTERM', shutdown)
+
+  // 4) don’t outlive the extension: Nova closes our stdin when it goes away,
+  //    and if it crashes we get re-parented
+  process.stdin.once('end', shutdown)
+  const parentPid = process.ppid
+  setInterval(() => {
+    let parentAlive = process.ppid === parentPid
+    try {
+      process.kill(parentPid, 0)
+    } catch {
+      parentAlive = false
+    }
+    if (!parentAlive) shutdown()
+  }, ORPHAN_CHECK_INTERVAL).unref()
 })()
@@ -0,0 +1,64 @@
+/**
+ * serialize-error.js — Turn Prettier errors into plain JSON
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Errors cross a worker or process boundary as plain objects. Besides name,
+ * message and stack this keeps what Prettier attaches to syntax errors: the
+ * `loc` range, the parser error in `cause` and the `codeFrame`, so the
+ * extension doesn’t have to scrape them from the message.
+ */
+
+/**
+ * @typedef {{ line: number, column: number }} ErrorPosition
+ * @typedef {{
+ *   name: string,
+ *   message: string,
+ *   stack?: string,
+ *   loc?: { start: ErrorPosition, end?: ErrorPosition },
+ *   cause?: { name?: string, message: string },
+ *   codeFrame?: string,
+ * }} SerializedError
+ */
+
+/**
+ * @param {ErrorPosition} [position]
+ * @returns {ErrorPosition|undefined}
+ */
+function serializePosition(position) {
+  if (!Number.isInteger(position?.line)) return undefined
+  return {
+    line: position.line,
+    column: Number.isInteger(position.column) ? position.column : 0,
+  }
+}
+
+/**
+ * @param {unknown} err
+ * @returns {SerializedError}
+ */
+function serializeError(err) {
+  const error = {
+    name: err?.name,
+    message: err?.message ?? String(err),
+    stack: err?.stack,
+  }
+
+  const start = serializePosition(err?.loc?.start)
+  if (start) {
+    error.loc = { start, end: serializePosition(err.loc.end) }
+  }
+  if (err?.cause != null) {
+    error.cause = {
+      name: err.cause.name,
+      message: err.cause.message ?? String(err.cause),
+    }
+  }
+  if (typeof err?.codeFrame === 'string') error.codeFrame = err.codeFrame
+
+  return error
+}
+
+module.exports = { serializeError }
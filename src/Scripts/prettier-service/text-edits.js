@@ -0,0 +1,187 @@
+/**
+ * text-edits.js — Minimal edits turning one text into another
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Diffs the original and formatted text line by line (Myers’ O(ND)
+ * algorithm) and trims each changed hunk to the characters that actually
+ * differ. Applying only these edits keeps folds, bookmarks and cursors in
+ * untouched parts of a document and makes for a small undo step.
+ */
+
+/**
+ * Beyond this many changed lines the diff isn’t worth its memory; the whole
+ * changed region is replaced as one edit instead.
+ */
+const MAX_EDIT_DISTANCE = 1000
+
+/**
+ * @typedef {{ start: number, end: number, text: string }} TextEdit
+ *   Replace `original.slice(start, end)` with `text`
+ * @typedef {{ aStart: number, aEnd: number, bStart: number, bEnd: number }} Hunk
+ *   Lines `a[aStart..aEnd)` were replaced by `b[bStart..bEnd)`
+ */
+
+/** @param {number} code */
+function isHighSurrogate(code) {
+  return code >= 0xd800 && code <= 0xdbff
+}
+
+/**
+ * Split text into lines that keep their line break, so offsets add up.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) ?? []
+}
+
+/**
+ * Myers’ diff of two line arrays.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Hunk[]|null} Changed hunks in ascending order, or null if more
+ *                        than `MAX_EDIT_DISTANCE` lines differ
+ */
+function diffLines(a, b) {
+  const n = a.length
+  const m = b.length
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  // v as it was before each step, to walk the path back afterwards
+  const trace = []
+
+  // 1) Follow the furthest reaching path on every diagonal k = x - y
+  let distance = -1
+  for (let d = 0; d <= max && distance === -1; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1] // line inserted from b
+          : v[offset + k - 1] + 1 // line deleted from a
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        distance = d
+        break
+      }
+    }
+  }
+  if (distance === -1) return null
+
+  // 2) Walk back from the end, merging adjacent insertions and deletions
+  const hunks = []
+  let x = n
+  let y = m
+  for (let d = distance; d > 0; d--) {
+    const previous = trace[d]
+    const k = x - y
+    const prevK =
+      k === -d ||
+      (k !== d && previous[offset + k - 1] < previous[offset + k + 1])
+        ? k + 1
+        : k - 1
+    const prevX = previous[offset + prevK]
+    const prevY = prevX - prevK
+    const editX = prevK === k + 1 ? prevX : prevX + 1
+    const editY = editX - k
+
+    const last = hunks[hunks.length - 1]
+    if (last && last.aStart === editX && last.bStart === editY) {
+      last.aStart = prevX
+      last.bStart = prevY
+    } else {
+      hunks.push({ aStart: prevX, aEnd: editX, bStart: prevY, bEnd: editY })
+    }
+
+    x = prevX
+    y = prevY
+  }
+
+  return hunks.reverse()
+}
+
+/**
+ * Compute the edits that turn `original` into `formatted`.
+ *
+ * @param {string} original
+ * @param {string} formatted
+ * @returns {TextEdit[]} Non-overlapping edits in ascending order; offsets
+ *                       refer to `original`
+ */
+function computeEdits(original, formatted) {
+  if (original === formatted) return []
+
+  const a = splitLines(original)
+  const b = splitLines(formatted)
+
+  // 1) Lines Prettier left alone at the start and end don’t need diffing
+  let head = 0
+  while (head < a.length && head < b.length && a[head] === b[head]) head++
+  let tail = 0
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++
+  }
+
+  const aLines = a.slice(head, a.length - tail)
+  const bLines = b.slice(head, b.length - tail)
+  const hunks = diffLines(aLines, bLines) ?? [
+    { aStart: 0, aEnd: aLines.length, bStart: 0, bEnd: bLines.length },
+  ]
+
+  // 2) Line numbers → offsets into the original text
+  const lineOffsets = [0]
+  for (const line of a) {
+    lineOffsets.push(lineOffsets[lineOffsets.length - 1] + line.length)
+  }
+
+  // 3) Trim each hunk down to the characters that differ
+  return hunks.map(({ aStart, aEnd, bStart, bEnd }) => {
+    let start = lineOffsets[head + aStart]
+    let end = lineOffsets[head + aEnd]
+    let text = bLines.slice(bStart, bEnd).join('')
+
+    let prefix = 0
+    const maxPrefix = Math.min(end - start, text.length)
+    while (prefix < maxPrefix && original[start + prefix] === text[prefix]) {
+      prefix++
+    }
+    let suffix = 0
+    const maxSuffix = maxPrefix - prefix
+    while (
+      suffix < maxSuffix &&
+      original[end - 1 - suffix] === text[text.length - 1 - suffix]
+    ) {
+      suffix++
+    }
+
+    // Never split a surrogate pair
+    if (isHighSurrogate(text.charCodeAt(prefix - 1))) prefix--
+    if (
+      suffix > 0 &&
+      isHighSurrogate(text.charCodeAt(text.length - 1 - suffix))
+    )
+      suffix--
+
+    start += prefix
+    end -= suffix
+    text = text.slice(prefix, text.length - suffix)
+    return { start, end, text }
+  })
+}
+
+module.exports = { computeEdits }
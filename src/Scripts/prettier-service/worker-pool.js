@@ -0,0 +1,176 @@
+/**
+ * worker-pool.js — Fixed-size pool of formatting worker threads
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Runs jobs on up to `size` worker threads, started on demand. Jobs wait in
+ * a FIFO queue while all workers are busy. A job that exceeds `jobTimeout`
+ * is rejected and its worker terminated and replaced, so a plugin stuck in
+ * an endless loop can’t take the whole service down.
+ */
+
+const { Worker } = require('worker_threads')
+
+/** @typedef {import('./json-rpc.js').CancellationToken} CancellationToken */
+
+class JobTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Formatting took longer than ${timeout / 1000}s and was stopped`)
+    this.name = 'JobTimeoutError'
+  }
+}
+
+class WorkerPool {
+  /**
+   * @param {string} workerPath  – Script run by each worker
+   * @param {object} workerData  – Passed to every worker as `workerData`
+   * @param {Object} opts
+   * @param {number} opts.size        – Maximum number of workers
+   * @param {number} opts.jobTimeout  – Time limit per job in milliseconds
+   * @param {(log: { level: string, message: string }) => void} [opts.onLog]
+   *   Receives console output of the workers
+   */
+  constructor(workerPath, workerData, { size, jobTimeout, onLog = () => {} }) {
+    this.workerPath = workerPath
+    this.workerData = workerData
+    this.size = size
+    this.jobTimeout = jobTimeout
+    this.onLog = onLog
+
+    /** @type {Array<{ worker: Worker, job: object|null }>} */
+    this.slots = []
+    /** @type {object[]} jobs waiting for a free worker */
+    this.queue = []
+    this.nextJobId = 1
+  }
+
+  /**
+   * Run a job on the next free worker.
+   *
+   * @param {string} method  – Handler name in the worker
+   * @param {object} params
+   * @param {CancellationToken|null} [token]  – Cancelling drops the job if it
+   *                                            is still waiting for a worker
+   * @returns {Promise<any>} – The handler’s result
+   * @throws {JobTimeoutError} if the job exceeds the time limit
+   * @throws {Error} the handler’s error, if the worker died or the job was
+   *                 cancelled before it started
+   */
+  run(method, params, token = null) {
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextJobId++, method, params, resolve, reject }
+      this.queue.push(job)
+
+      token?.onCancellationRequested(() => {
+        const index = this.queue.indexOf(job)
+        if (index === -1) return // already running, let it finish
+        this.queue.splice(index, 1)
+        reject(new Error('Job was cancelled before it started'))
+      })
+
+      this._dispatch()
+    })
+  }
+
+  /**
+   * Terminate all workers and reject pending jobs.
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    const error = new Error('Worker pool was disposed')
+    for (const job of this.queue.splice(0)) job.reject(error)
+
+    const slots = this.slots.splice(0)
+    for (const slot of slots) {
+      if (slot.job) this._finish(slot, slot.job, { error })
+    }
+    await Promise.all(slots.map((slot) => slot.worker.terminate()))
+  }
+
+  /** @private */
+  _dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.find((candidate) => !candidate.job)
+      if (!slot) {
+        if (this.slots.length >= this.size) return
+        slot = this._spawn()
+      }
+
+      const job = this.queue.shift()
+      slot.job = job
+      job.timer = setTimeout(() => {
+        this._finish(slot, job, { error: new JobTimeoutError(this.jobTimeout) })
+        this._replace(slot)
+      }, this.jobTimeout)
+
+      // Config from a JavaScript file can hold plugin objects or functions,
+      // which can’t be cloned into the worker; that fails only this job
+      try {
+        slot.worker.postMessage({
+          id: job.id,
+          method: job.method,
+          params: job.params,
+        })
+      } catch (error) {
+        this._finish(slot, job, { error })
+      }
+    }
+  }
+
+  /** @private */
+  _spawn() {
+    const slot = {
+      worker: new Worker(this.workerPath, { workerData: this.workerData }),
+      job: null,
+    }
+
+    slot.worker.on('message', ({ id, result, error, log }) => {
+      if (log) return this.onLog(log)
+      if (!slot.job || slot.job.id !== id) return
+      this._finish(
+        slot,
+        slot.job,
+        error ? { error: Object.assign(new Error(), error) } : { result },
+      )
+      this._dispatch()
+    })
+
+    // An uncaught error or unexpected exit takes the worker down with its job
+    const didFail = (error) => {
+      if (!this.slots.includes(slot)) return
+      if (slot.job) this._finish(slot, slot.job, { error })
+      this._replace(slot)
+    }
+    slot.worker.on('error', didFail)
+    slot.worker.on('exit', (code) =>
+      didFail(new Error(`Formatting worker exited with code ${code}`)),
+    )
+
+    this.slots.push(slot)
+    return slot
+  }
+
+  /** @private */
+  _finish(slot, job, { result, error }) {
+    clearTimeout(job.timer)
+    if (slot.job === job) slot.job = null
+    if (error) job.reject(error)
+    else job.resolve(result)
+  }
+
+  /**
+   * Drop a worker that timed out or failed; a new one is spawned on demand.
+   * @private
+   */
+  _replace(slot) {
+    const index = this.slots.indexOf(slot)
+    if (index === -1) return
+    this.slots.splice(index, 1)
+    slot.worker.terminate().catch(() => {})
+    this._dispatch()
+  }
+}
+
+module.exports = { JobTimeoutError, WorkerPool }
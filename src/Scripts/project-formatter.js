@@ -0,0 +1,206 @@
+/**
+ * project-formatter.js — Bulk formatting of folders for Prettier⁺
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Walks a folder, picks the files Prettier⁺ can format using the same syntax
+ * detection as open documents, and sends them to the Prettier service in
+ * batches. Collects a summary of changed, unchanged, errored and ignored files.
+ */
+
+const { log } = require('./helpers.js')
+const { detectSyntax } = require('./syntax.js')
+
+// Directories that are never descended into
+const IGNORED_DIRECTORIES = new Set([
+  '.git',
+  '.hg',
+  '.nova',
+  '.svn',
+  'node_modules',
+])
+
+// Extensions detected as SQL that other files use too: PHP includes, data
+// tables, kdb+/q scripts. Fine for a document someone opened, not for files
+// nobody looked at.
+const AMBIGUOUS_EXTENSIONS = new Set(['.inc', '.q', '.tab'])
+
+// Number of files sent to the service per request
+const BATCH_SIZE = 25
+
+/**
+ * Recursively collect all files below `directory` with a detectable syntax,
+ * except those with an ambiguous extension. Symbolic links are skipped to
+ * avoid cycles.
+ *
+ * @param {string} directory  Absolute folder path
+ * @returns {string[]}        Absolute file paths, sorted per folder
+ */
+function collectFiles(directory) {
+  const files = []
+  const pending = [directory]
+
+  while (pending.length > 0) {
+    const current = pending.pop()
+
+    let entries
+    try {
+      entries = nova.fs.listdir(current).sort()
+    } catch (err) {
+      log.warn(`Unable to read folder ${current}`, err)
+      continue
+    }
+
+    for (const name of entries) {
+      const path = nova.path.join(current, name)
+      const stats = nova.fs.stat(path)
+      if (!stats || stats.isSymbolicLink()) continue
+
+      if (stats.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(name)) pending.push(path)
+      } else if (
+        stats.isFile() &&
+        !AMBIGUOUS_EXTENSIONS.has(
+          name.slice(name.lastIndexOf('.')).toLowerCase(),
+        ) &&
+        detectSyntax({ syntax: null, uri: path }) != null
+      ) {
+        files.push(path)
+      }
+    }
+  }
+
+  return files
+}
+
+/**
+ * Format every supported file below `directory`.
+ *
+ * Files that are open with unsaved changes are left alone, so the service
+ * never overwrites work that only exists in an editor.
+ *
+ * @param {Formatter} formatter
+ * @param {string} directory
+ * @param {object} [opts]
+ * @param {() => boolean} [opts.isCancelled]  Polled between batches
+ * @param {(done: number, total: number) => void} [opts.onProgress]
+ * @returns {Promise<{
+ *   changed: string[],
+ *   unchanged: string[],
+ *   errored: Array<{ path: string, message: string }>,
+ *   ignored: string[],
+ *   cancelled: boolean,
+ * }>}
+ */
+async function formatProject(
+  formatter,
+  directory,
+  { isCancelled = () => false, onProgress = () => {} } = {},
+) {
+  const summary = {
+    changed: [],
+    unchanged: [],
+    errored: [],
+    ignored: [],
+    cancelled: false,
+  }
+
+  const dirtyPaths = new Set(
+    nova.workspace.textDocuments
+      .filter((document) => document.isDirty && document.path)
+      .map((document) => document.path),
+  )
+
+  const files = collectFiles(directory).filter((path) => {
+    if (!dirtyPaths.has(path)) return true
+    log.info(`Skipping ${path}: document has unsaved changes`)
+    summary.ignored.push(path)
+    return false
+  })
+
+  log.info(`Formatting ${files.length} files in ${directory}`)
+  onProgress(0, files.length)
+
+  for (let i = 0; i < files.length; i += BATCH_SIZE) {
+    if (isCancelled()) {
+      summary.cancelled = true
+      break
+    }
+
+    const batch = files.slice(i, i + BATCH_SIZE)
+    let results
+    try {
+      results = await formatter.formatFiles(batch)
+    } catch (err) {
+      log.error(`Prettier IPC error in formatFiles: ${err.message}`)
+      results = batch.map((path) => ({
+        path,
+        status: 'error',
+        error: { message: err.message },
+      }))
+    }
+
+    for (const { path, status, error } of results) {
+      if (status === 'error') {
+        log.debug(`Error formatting ${path}: ${error.message}`)
+        summary.errored.push({ path, message: error.message })
+      } else {
+        summary[status].push(path)
+      }
+    }
+
+    onProgress(Math.min(i + BATCH_SIZE, files.length), files.length)
+  }
+
+  return summary
+}
+
+/**
+ * Render a summary returned by `formatProject` as Markdown.
+ *
+ * @param {object} summary
+ * @param {string} directory
+ * @returns {string}
+ */
+function renderSummary(summary, directory) {
+  const relative = (path) =>
+    path.startsWith(directory + '/') ? path.slice(directory.length + 1) : path
+
+  const section = (title, lines) =>
+    lines.length > 0
+      ? [`## ${title} (${lines.length})`, '', ...lines, ''].join('\n')
+      : ''
+
+  return [
+    `# Prettier⁺ — ${directory}\n`,
+    summary.cancelled ? '_Cancelled before all files were formatted._\n' : '',
+    section(
+      'Changed',
+      summary.changed.map((path) => `- ${relative(path)}`),
+    ),
+    section(
+      'Errored',
+      summary.errored.map(
+        ({ path, message }) => `- ${relative(path)}: ${message.split('\n')[0]}`,
+      ),
+    ),
+    section(
+      'Ignored',
+      summary.ignored.map((path) => `- ${relative(path)}`),
+    ),
+    section(
+      'Unchanged',
+      summary.unchanged.map((path) => `- ${relative(path)}`),
+    ),
+  ]
+    .filter(Boolean)
+    .join('\n')
+}
+
+module.exports = {
+  collectFiles,
+  formatProject,
+  renderSummary,
+}
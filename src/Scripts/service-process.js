@@ -0,0 +1,267 @@
+/**
+ * service-process.js — Lifecycle of a Prettier⁺ service process
+ *
+ * @license MIT
+ * @author Alexander Weiss, Toni Förster
+ * @copyright © 2023 Alexander Weiss, © 2025 Toni Förster
+ *
+ * Starts the background Prettier service for one Prettier module, tracks
+ * whether it’s ready, restarts it after a crash and stops it on request.
+ */
+
+const { getConfigWithWorkspaceOverride, log } = require('./helpers.js')
+
+const { showNotification, cancelNotification } = require('./notifications.js')
+
+class ServiceProcess {
+  /**
+   * @param {string} [modulePath]         Prettier module to load; may be set by `start`
+   * @param {object} [opts]
+   * @param {(parameters: object) => void} [opts.onDidStart]
+   *   Called with the `didStart` handshake parameters
+   */
+  constructor(modulePath, { onDidStart = () => {} } = {}) {
+    this.processDidExit = this.processDidExit.bind(this)
+    this.processStartDidFail = this.processStartDidFail.bind(this)
+    this.processDidLog = this.processDidLog.bind(this)
+
+    this.modulePath = modulePath
+    this.onDidStart = onDidStart
+
+    this.setupIsReadyPromise()
+  }
+
+  /**
+   * Resolves to true once the service is ready, false if it failed to start.
+   * Null while the service is stopped.
+   * @type {Promise<boolean>|null}
+   */
+  get isReady() {
+    return this._isReadyPromise
+  }
+
+  async start(modulePath) {
+    if (modulePath) this.modulePath = modulePath
+
+    if (!this._isReadyPromise) this.setupIsReadyPromise()
+    // If we're currently stopping we'll wait for that to complete before starting
+    if (this._isStoppedPromise) {
+      await this._isStoppedPromise
+    }
+
+    if (this.process) return
+    log.info(`Starting Prettier service for ${this.modulePath}…`)
+
+    this.process = new Process('/usr/bin/env', {
+      args: [
+        'node',
+        nova.path.join(
+          nova.extension.path,
+          'Scripts',
+          'prettier-service',
+          'prettier-service.js',
+        ),
+        this.modulePath,
+        String(getConfigWithWorkspaceOverride('prettier.service.workers') ?? 0),
+        String(
+          getConfigWithWorkspaceOverride('prettier.service.job-timeout') ?? 30,
+        ),
+      ],
+      stdio: 'jsonrpc',
+      cwd: nova.workspace.path,
+    })
+    this.process.onDidExit(this.processDidExit)
+    this.process.onNotify('didStart', ({ parameters }) => {
+      log.info(`Prettier service for ${this.modulePath} started successfully`)
+      this.onDidStart(parameters ?? {})
+      this._resolveIsReadyPromise(true)
+    })
+    this.process.onNotify('startDidFail', this.processStartDidFail)
+    this.process.onNotify('$/log', this.processDidLog)
+    this.process.start()
+  }
+
+  stop() {
+    cancelNotification('prettier-not-running')
+    if (!this._isReadyPromise || !this.process) return
+    if (this._isStoppedPromise) return
+
+    const startTs = Date.now()
+    const proc = this.process
+
+    log.info(`Stopping Prettier service for ${this.modulePath}…`)
+
+    // Create a promise that we’ll resolve either on exit or on timeout
+    this._isStoppedPromise = new Promise((resolve) => {
+      // wrap the original resolve so we can log duration
+      this._resolveIsStoppedPromise = () => {
+        const delta = Date.now() - startTs
+        log.debug(`Prettier exited in ${delta}ms`)
+        resolve()
+      }
+    })
+
+    // Signal “not ready” immediately
+    if (this._resolveIsReadyPromise) this._resolveIsReadyPromise(false)
+    this._isReadyPromise = null
+
+    // Politely ask for termination
+    proc.terminate()
+
+    // If it hasn’t exited in 5s, force it
+    setTimeout(() => {
+      // still pending?
+      if (this._isStoppedPromise) {
+        log.error('Prettier did NOT exit in 5000ms, forcing stop.')
+        proc.kill()
+        this._resolveIsStoppedPromise()
+      }
+    }, 5000)
+
+    // Don’t clear `this.process` here—wait for onDidExit to do it
+    return this._isStoppedPromise
+  }
+
+  /**
+   * Send a JSON-RPC request to the service.
+   *
+   * @param {string} method
+   * @param {object} params
+   * @returns {Promise<any>}
+   * @throws {Error} if the service isn’t running or the request fails
+   */
+  request(method, params) {
+    if (!this.process) {
+      return Promise.reject(new Error('Prettier service is not running'))
+    }
+    return this.process.request(method, params)
+  }
+
+  /**
+   * Send a JSON-RPC notification to the service; dropped if it isn’t running.
+   *
+   * @param {string} method
+   * @param {object} params
+   */
+  notify(method, params) {
+    this.process?.notify(method, params)
+  }
+
+  setupIsReadyPromise() {
+    this._isReadyPromise = new Promise((resolve) => {
+      this._resolveIsReadyPromise = resolve
+    })
+  }
+
+  processDidExit(exitCode) {
+    // 1) Wake up anyone awaiting stop(); an exit we asked for is no crash
+    const wasStopped = !!this._isStoppedPromise
+    if (this._resolveIsStoppedPromise) {
+      this._resolveIsStoppedPromise()
+      this._isStoppedPromise = null
+    }
+
+    // 2) If the service object is already gone, bail out
+    if (!this.process) return
+
+    log.debug('Prettier service exited with code:', exitCode)
+
+    // 3) Mark “not ready” so calls to isReady will error
+    if (this._resolveIsReadyPromise) this._resolveIsReadyPromise(false)
+    this._isReadyPromise = null
+
+    // 4) Clear out the old service handle
+    this.process = null
+
+    // 5) If exitCode is 0 or we stopped it → clean stop → do nothing further
+    if (exitCode === 0 || wasStopped) {
+      return
+    }
+
+    // 6) Non-zero exit → unexpected crash.
+    //    If we’ve already crashed recently, show an error instead of restarting forever.
+    if (this.crashedRecently) {
+      return this.showNotRunningError()
+    }
+
+    // 7) First crash in a short window → mark it and schedule a reset
+    this.crashedRecently = true
+    setTimeout(() => (this.crashedRecently = false), 5000)
+
+    // 8) Now restart the service
+    log.debug('Restarting Prettier…')
+    this.start()
+  }
+
+  /**
+   * Console output of the service, its plugins and config files.
+   */
+  processDidLog({ parameters: { level, message } }) {
+    const write = log[level] ?? log.info
+    write(`[Prettier] ${message}`)
+  }
+
+  processStartDidFail({ parameters: error }) {
+    this._resolveIsReadyPromise(false)
+
+    showNotification({
+      id: 'prettier-not-running',
+      title: nova.localize(
+        'prettier.notification.could-not-load-prettier.title',
+        'Can’t Load Prettier',
+        'notification',
+      ),
+      body: nova.localize(
+        'prettier.notification.could-not-load-prettier.body',
+        "Please ensure your Node.js installation is up to date. Additionally, check if the 'Prettier module' path is correctly set in your extension or project settings. For more details, refer to the error log in the Extension Console.",
+        'notification',
+      ),
+      actions: [
+        nova.localize(
+          'prettier.notification.could-not-load-prettier.action.project',
+          'Project Settings',
+          'notification',
+        ),
+        nova.localize(
+          'prettier.notification.could-not-load-prettier.action.extension',
+          'Extension Settings',
+          'notification',
+        ),
+      ],
+      callback: (r) => {
+        if (r === 0) nova.workspace.openConfig()
+        else nova.openConfig()
+      },
+    })
+
+    log.error(`${error.name}: ${error.message}\n${error.stack}`)
+  }
+
+  showNotRunningError() {
+    showNotification({
+      id: 'prettier-not-running',
+      title: nova.localize(
+        'prettier.notification.stopped-running.title',
+        'Prettier Stopped Running',
+        'notification',
+      ),
+      body: nova.localize(
+        'prettier.notification.stopped-running.body',
+        'If this problem persists, please report the issue through the Extension Library.',
+        'notification',
+      ),
+      actions: [
+        nova.localize(
+          'prettier.notification.stopped-running.action.restart',
+          'Restart Prettier',
+          'notification',
+        ),
+      ],
+      callback: (r) => {
+        if (r === 0) this.start()
+      },
+    })
+  }
+}
+
+module.exports = { ServiceProcess }
@@ -0,0 +1,238 @@
+/**
+ * statistics.js — Local formatting performance statistics for Prettier⁺
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * Records how long each phase of a format took, grouped by syntax and the
+ * plugins involved, and renders them as a Markdown report. Statistics only
+ * live in memory for the current session and never leave the machine.
+ */
+
+// Samples kept per syntax and plugin set; older ones are dropped
+const MAX_SAMPLES = 500
+
+// Number of entries in the list of slowest files
+const SLOWEST_FILES = 10
+
+// Phases of a format in report order. `fileInfo`, `config`, `format` and
+// `diff` are measured by the service, the others by the extension.
+const PHASES = [
+  ['options', 'Option resolution (extension)'],
+  ['fileInfo', 'getFileInfo'],
+  ['config', 'Config resolution'],
+  ['format', 'Formatting'],
+  ['diff', 'Diffing'],
+  ['ipc', 'IPC'],
+  ['total', 'Total'],
+]
+
+/**
+ * @typedef {Object} FormatSample
+ * @property {string} path
+ * @property {Object<string, number>} timings  Milliseconds per phase
+ * @property {number} size        Characters sent to the service
+ * @property {number} resultSize  Characters of replacement text received
+ */
+
+/**
+ * @type {Map<string, {
+ *   syntaxKey: string,
+ *   plugins: string[],
+ *   count: number,
+ *   errors: number,
+ *   samples: FormatSample[],
+ * }>}
+ */
+const groups = new Map()
+
+/**
+ * Short name of a plugin: its package name if it lives in node_modules,
+ * otherwise the file name.
+ *
+ * @param {string|object} plugin
+ * @returns {string}
+ */
+function getPluginName(plugin) {
+  if (typeof plugin !== 'string') return 'inline plugin'
+  const match = plugin.match(/node_modules\/((?:@[^/]+\/)?[^/]+)/)
+  return match ? match[1] : nova.path.basename(plugin)
+}
+
+/**
+ * Record one format.
+ *
+ * @param {Object} entry
+ * @param {string} entry.syntaxKey
+ * @param {Array<string|object>} [entry.plugins]   – As passed to Prettier
+ * @param {string} [entry.path]
+ * @param {Object<string, number>} [entry.timings] – Milliseconds per phase;
+ *   `request` is the round trip to the service, IPC is what the service
+ *   didn’t account for
+ * @param {number} [entry.size]
+ * @param {number} [entry.resultSize]
+ * @param {boolean} [entry.errored]
+ */
+function recordFormat({
+  syntaxKey,
+  plugins = [],
+  path,
+  timings = {},
+  size = 0,
+  resultSize = 0,
+  errored = false,
+}) {
+  const pluginNames = [...new Set(plugins.map(getPluginName))].sort()
+  const key = `${syntaxKey}\0${pluginNames.join('\0')}`
+
+  let group = groups.get(key)
+  if (!group) {
+    group = {
+      syntaxKey,
+      plugins: pluginNames,
+      count: 0,
+      errors: 0,
+      samples: [],
+    }
+    groups.set(key, group)
+  }
+
+  group.count++
+  if (errored) group.errors++
+
+  // Without a round trip there’s nothing to compare
+  if (timings.request == null) return
+
+  const { request, ...phases } = timings
+  const service =
+    (phases.fileInfo ?? 0) +
+    (phases.config ?? 0) +
+    (phases.format ?? 0) +
+    (phases.diff ?? 0)
+  group.samples.push({
+    path: path ?? 'Untitled',
+    timings: {
+      ...phases,
+      ipc: Math.max(0, request - service),
+      total: (phases.options ?? 0) + request,
+    },
+    size,
+    resultSize,
+  })
+  if (group.samples.length > MAX_SAMPLES) group.samples.shift()
+}
+
+/**
+ * Nearest-rank percentile.
+ *
+ * @param {number[]} sorted  Ascending values
+ * @param {number} p         0–100
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length)
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1]
+}
+
+/** @param {number} ms */
+function formatDuration(ms) {
+  return ms < 10 ? `${ms.toFixed(1)} ms` : `${Math.round(ms)} ms`
+}
+
+/** @param {number} characters */
+function formatSize(characters) {
+  if (characters < 1024) return `${characters} B`
+  if (characters < 2 ** 20) return `${(characters / 1024).toFixed(1)} KiB`
+  return `${(characters / 2 ** 20).toFixed(1)} MiB`
+}
+
+/**
+ * Render everything recorded so far as Markdown.
+ *
+ * @param {string} [directory]  Paths below it are shown relative
+ * @returns {string}
+ */
+function renderReport(directory) {
+  const relative = (path) =>
+    directory && path.startsWith(directory + '/')
+      ? path.slice(directory.length + 1)
+      : path
+
+  const lines = [
+    '# Prettier⁺ Performance Report',
+    '',
+    '_Formats in this workspace since the extension was activated. The statistics are kept in memory only and never leave this Mac. Sizes count characters, not bytes._',
+    '',
+  ]
+
+  if (groups.size === 0) {
+    lines.push('Nothing has been formatted yet.', '')
+    return lines.join('\n')
+  }
+
+  const allSamples = []
+  const sortedGroups = [...groups.values()].sort((a, b) => b.count - a.count)
+
+  for (const group of sortedGroups) {
+    const plugins = group.plugins.length
+      ? group.plugins.join(', ')
+      : 'no plugins'
+    lines.push(
+      `## ${group.syntaxKey} — ${plugins}`,
+      '',
+      `${group.count} format(s), ${group.errors} error(s)`,
+      '',
+    )
+    allSamples.push(...group.samples.map((sample) => ({ group, sample })))
+
+    if (group.samples.length === 0) continue
+
+    lines.push('| Phase | p50 | p95 | max |', '| --- | ---: | ---: | ---: |')
+    for (const [phase, title] of PHASES) {
+      const values = group.samples
+        .map(({ timings }) => timings[phase])
+        .filter((value) => value != null)
+        .sort((a, b) => a - b)
+      if (values.length === 0) continue
+      lines.push(
+        `| ${title} | ${formatDuration(percentile(values, 50))} | ${formatDuration(percentile(values, 95))} | ${formatDuration(values[values.length - 1])} |`,
+      )
+    }
+
+    const sizes = group.samples.map(({ size }) => size).sort((a, b) => a - b)
+    const resultSizes = group.samples
+      .map(({ resultSize }) => resultSize)
+      .sort((a, b) => a - b)
+    lines.push(
+      '',
+      `Sent: median ${formatSize(percentile(sizes, 50))}, largest ${formatSize(sizes[sizes.length - 1])}. ` +
+        `Received: median ${formatSize(percentile(resultSizes, 50))}, largest ${formatSize(resultSizes[resultSizes.length - 1])}.`,
+      '',
+    )
+  }
+
+  const slowest = allSamples
+    .sort((a, b) => b.sample.timings.total - a.sample.timings.total)
+    .slice(0, SLOWEST_FILES)
+  if (slowest.length > 0) {
+    lines.push(
+      '## Slowest Files',
+      '',
+      '| File | Syntax | Size | Total |',
+      '| --- | --- | ---: | ---: |',
+      ...slowest.map(
+        ({ group, sample }) =>
+          `| ${relative(sample.path)} | ${group.syntaxKey} | ${formatSize(sample.size)} | ${formatDuration(sample.timings.total)} |`,
+      ),
+      '',
+    )
+  }
+
+  return lines.join('\n')
+}
+
+module.exports = {
+  recordFormat,
+  renderReport,
+}
@@ -8,7 +8,9 @@
  * Inspects Nova’s `document.syntax` and the document URI’s file extension
  * to determine the true language key for each document, ensuring the
  * appropriate parser is selected for Blade, Java, Tailwind, GraphQL,
- * Vue, SQL, Nginx, YAML, Flow, and all other supported syntaxes.
+ * Vue, Svelte, Handlebars, SQL, Nginx, YAML, Flow, and all other supported syntaxes.
+ * Falls back to the languages reported by the running Prettier and its
+ * plugins when the static tables have no match.
  * Honors the `prettier.syntax.advancedDetection` config flag—if set to
  * false, will simply return Nova’s `document.syntax` unchanged.
  */
@@ -28,6 +30,10 @@ const extToSyntax = {
   '.liquid.md': 'liquid-md', // Liquid in Markdown
   '.liquid.html': 'liquid-html', // Liquid in HTML
 
+  // Handlebars, formatted with the Glimmer parser
+  '.handlebars': 'handlebars',
+  '.hbs': 'handlebars',
+
   // Embedded HTML templates
   '.html.ejs': 'html+ejs',
   '.html.erb': 'html+erb',
@@ -127,6 +133,9 @@ const extToSyntax = {
   '.flink.sql': 'sql', //FlinkSQL
   '.flinksql': 'sql', //FlinkSQL
 
+  // Svelte components
+  '.svelte': 'svelte',
+
   // TOML
   '.toml': 'toml',
 
@@ -147,6 +156,7 @@ const extToSyntax = {
   // Markdown
   '.markdown': 'markdown',
   '.md': 'markdown',
+  '.mdx': 'mdx', // Markdown with JSX, Nova reports it as Markdown
 
   // Vue Single‑File Components
   '.vue': 'vue',
@@ -185,6 +195,7 @@ const knownSyntaxKeys = new Set([
   'css',
   'flow',
   'graphql',
+  'handlebars',
   'html',
   'html+ejs',
   'html+erb',
@@ -197,10 +208,12 @@ const knownSyntaxKeys = new Set([
   'liquid-html',
   'liquid-md',
   'markdown',
+  'mdx',
   'nginx',
   'php',
   'scss',
   'sql',
+  'svelte',
   'toml',
   'tsx',
   'typescript',
@@ -209,6 +222,87 @@ const knownSyntaxKeys = new Set([
   'yaml',
 ])
 
+// 4) Languages reported by `getSupportInfo()` of the running Prettier,
+//    filled in by `setSupportInfo` once the service has started.
+let supportedLanguages = []
+// [extension, language] pairs, longest extension first
+let supportedExtensions = []
+
+/**
+ * Register the languages reported by the running Prettier and its plugins.
+ * Languages without a parser can’t be formatted and are skipped.
+ *
+ * @param {Array<{ name: string, parsers: string[], extensions: string[],
+ *   filenames: string[], vscodeLanguageIds: string[] }>} languages
+ */
+function setSupportInfo(languages = []) {
+  supportedLanguages = languages.filter(
+    (language) =>
+      Array.isArray(language.parsers) && language.parsers.length > 0,
+  )
+  supportedExtensions = supportedLanguages
+    .flatMap((language) =>
+      (language.extensions || []).map((ext) => [ext.toLowerCase(), language]),
+    )
+    .sort((a, b) => b[0].length - a[0].length)
+}
+
+/**
+ * Find the language of a Nova syntax name, a Prettier language name or
+ * a parser name among the languages reported by Prettier.
+ *
+ * @param {string} syntax
+ * @returns {object|undefined}
+ */
+function findSupportedLanguage(syntax) {
+  if (!syntax) return undefined
+  const key = syntax.toLowerCase()
+  return supportedLanguages.find(
+    (language) =>
+      language.parsers.includes(key) ||
+      (language.vscodeLanguageIds || []).includes(key) ||
+      language.name.toLowerCase() === key,
+  )
+}
+
+/**
+ * Detect a syntax key from the languages reported by Prettier: exact
+ * file names first, then extensions (longest first), then Nova’s syntax.
+ * The key is the language’s first parser, so it can be used as-is.
+ *
+ * @param {string|null} syntax  Nova’s syntax
+ * @param {string} path         lower-cased document path
+ * @returns {string|null}
+ */
+function detectFromSupportInfo(syntax, path) {
+  const filename = path.slice(path.lastIndexOf('/') + 1)
+
+  const byFilename = supportedLanguages.find((language) =>
+    (language.filenames || []).some((name) => name.toLowerCase() === filename),
+  )
+  if (byFilename) return byFilename.parsers[0]
+
+  const byExtension = supportedExtensions.find(([ext]) => path.endsWith(ext))
+  if (byExtension) return byExtension[1].parsers[0]
+
+  const bySyntax = findSupportedLanguage(syntax)
+  if (bySyntax) return bySyntax.parsers[0]
+
+  return null
+}
+
+/**
+ * Resolve the parser for a syntax key that isn’t mapped statically.
+ *
+ * @param {string} syntaxKey
+ * @returns {string|null}  a parser reported by Prettier, or null if unknown
+ */
+function getParserFromSupportInfo(syntaxKey) {
+  const language = findSupportedLanguage(syntaxKey)
+  if (!language) return null
+  return language.parsers.includes(syntaxKey) ? syntaxKey : language.parsers[0]
+}
+
 /**
  * Determine the true syntax key for a document.
  *
@@ -256,8 +350,14 @@ function detectSyntax({ syntax, uri }) {
     return syntax
   }
 
-  // 3) Otherwise give Nova’s value back
+  // 3) Ask the languages reported by Prettier and its plugins
+  const supported = detectFromSupportInfo(syntax, path)
+  if (supported) {
+    return supported
+  }
+
+  // 4) Otherwise give Nova’s value back
   return syntax
 }
 
-module.exports = { detectSyntax }
+module.exports = { detectSyntax, getParserFromSupportInfo, setSupportInfo }
@@ -0,0 +1,116 @@
+/**
+ * transfer.js — File-backed transfer of large documents to the service
+ *
+ * @license MIT
+ * @author Toni Förster
+ * @copyright © 2025 Toni Förster
+ *
+ * JSON-RPC frames to the service are limited to 42 MiB of UTF-8. Documents
+ * whose JSON encoding would come close are written to a temporary file whose
+ * path is sent instead. The service answers through a second file the same
+ * way when its result is that large.
+ */
+
+const { log } = require('./helpers.js')
+
+// Texts whose JSON encoding fits in 32 MiB are sent inline, leaving room for
+// the rest of the frame
+const MAX_INLINE_BYTES = 32 * 1024 * 1024
+
+const SHORT_ESCAPES = new Set([0x08, 0x09, 0x0a, 0x0c, 0x0d])
+
+/**
+ * Whether a text encoded as a JSON string in UTF-8 fits in
+ * `MAX_INLINE_BYTES`.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+function fitsInline(text) {
+  // No character takes more than 6 bytes (`\u001f`)
+  if (text.length * 6 <= MAX_INLINE_BYTES) return true
+
+  let bytes = 0
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i)
+    if (code === 0x22 || code === 0x5c) bytes += 2
+    // \b \t \n \f \r, other control characters as \u00XX
+    else if (code < 0x20) bytes += SHORT_ESCAPES.has(code) ? 2 : 6
+    else if (code < 0x80) bytes += 1
+    else if (code < 0x800) bytes += 2
+    // Each half of a surrogate pair, 4 bytes together
+    else if (code >= 0xd800 && code <= 0xdfff) bytes += 2
+    else bytes += 3
+  }
+  return bytes <= MAX_INLINE_BYTES
+}
+
+/**
+ * @returns {string} Folder for transfer files, created on demand
+ */
+function getTransferDirectory() {
+  const storage = nova.extension.globalStoragePath
+  const directory = nova.path.join(storage, 'transfer')
+  for (const path of [storage, directory]) {
+    if (!nova.fs.access(path, nova.fs.F_OK)) nova.fs.mkdir(path)
+  }
+  return directory
+}
+
+/**
+ * Prepare the text of a request for the service.
+ *
+ * @param {string} text
+ * @returns {{
+ *   params: { original: string, resultPath: string } | { originalPath: string, resultPath: string },
+ *   receive: (result: object) => object,
+ *   dispose: () => void,
+ * }}
+ *   `params` are merged into the request, `receive` unpacks a result the
+ *   service wrote to a file, and `dispose` removes the files again
+ */
+function createTransfer(text) {
+  const directory = getTransferDirectory()
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`
+  const originalPath = nova.path.join(directory, `${id}.txt`)
+  // Only written by the service if the result is too large to send inline
+  const resultPath = nova.path.join(directory, `${id}.json`)
+
+  const inline = fitsInline(text)
+  if (!inline) {
+    const file = nova.fs.open(originalPath, 'w')
+    try {
+      file.write(text)
+    } finally {
+      file.close()
+    }
+    log.debug(`Sending ${text.length} characters through ${originalPath}`)
+  }
+
+  return {
+    params: inline
+      ? { original: text, resultPath }
+      : { originalPath, resultPath },
+    receive(result) {
+      if (!result?.resultPath) return result
+      const { resultPath: written, ...rest } = result
+      const file = nova.fs.open(written, 'r')
+      try {
+        return { ...rest, ...JSON.parse(file.read()) }
+      } finally {
+        file.close()
+      }
+    },
+    dispose() {
+      for (const path of [originalPath, resultPath]) {
+        try {
+          if (nova.fs.access(path, nova.fs.F_OK)) nova.fs.remove(path)
+        } catch (err) {
+          log.warn(`Unable to remove ${path}`, err)
+        }
+      }
+    },
+  }
+}
+
+module.exports = { createTransfer, getTransferDirectory }